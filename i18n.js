@@ -0,0 +1,152 @@
+// ── Idiomas ───────────────────────────────────────────────────────────────────
+// Los mensajes de la API se escriben en español en server.js y se traducen al
+// responder según el idioma pedido (?lang= o Accept-Language). El catálogo va por
+// texto español, con {nombre} en las partes variables; lo capturado en ellas se
+// traduce también (p. ej. el error de FA dentro de "Lista {n}: {error}").
+// El mismo idioma decide la lengua de los datos de TMDB y los nombres de países.
+
+const LOCALES = ["es", "en"];
+const DEFAULT_LOCALE = "es";
+// Idioma de las consultas a TMDB para cada locale
+const TMDB_LANGUAGES = { es: "es-ES", en: "en-US" };
+
+// Las plantillas se prueban en orden: las más específicas primero ("Descargando página
+// {page} de {total}…" antes que "Descargando página {page}…")
+const MESSAGES = {
+  en: {
+    // Validación y rutas
+    "Falta url": "Missing url",
+    "URL inválida": "Invalid URL",
+    "Falta el CSV": "Missing CSV",
+    "El CSV no contiene títulos": "The CSV contains no titles",
+    "Formato no reconocido (se admite CSV de Letterboxd o IMDb)": "Unrecognised format (Letterboxd or IMDb CSV supported)",
+    "Formato no soportado: {format}": "Unsupported format: {format}",
+    "Método no permitido": "Method not allowed",
+    "Lista no descargada todavía": "List not downloaded yet",
+    "Lista importada no encontrada": "Imported list not found",
+    "Alguna de las listas no se ha descargado todavía": "Some of the lists have not been downloaded yet",
+    "Indica de 2 a {n} listas distintas": "Give 2 to {n} different lists",
+    "Indica de 2 a {n} listas": "Give 2 to {n} lists",
+    "Versión no encontrada": "Version not found",
+    "Ya hay una descarga en curso": "A download is already in progress",
+    "Ningún título cumple las condiciones": "No title matches the conditions",
+    "Las marcas cambiaron en otra pestaña o dispositivo": "Marks changed in another tab or device",
+    "Demasiadas peticiones, prueba de nuevo más tarde": "Too many requests, try again later",
+    "TMDB no configurado": "TMDB not configured",
+    "API key de TMDB inválida": "Invalid TMDB API key",
+    "Lista no programada": "List not scheduled",
+    "Fixture no encontrado": "Fixture not found",
+    "Nombre de fixture inválido (letras, números, - y _)": "Invalid fixture name (letters, digits, - and _)",
+    "Nombre de fixture inválido": "Invalid fixture name",
+    // Cuentas y permisos
+    "No autenticado": "Not signed in",
+    "Sesión caducada o no válida": "Session expired or invalid",
+    "Usuario o contraseña incorrectos": "Wrong username or password",
+    "Ese usuario ya existe": "That username is already taken",
+    "Usuario: 3-32 caracteres (letras, números, . _ -)": "Username: 3-32 characters (letters, digits, . _ -)",
+    "La contraseña debe tener entre 6 y 200 caracteres": "Password must be 6 to 200 characters long",
+    "Inicia sesión para descargar, importar o combinar listas": "Sign in to download, import or merge lists",
+    "Administración desactivada (falta ADMIN_TOKEN o ADMIN_USERS)": "Administration disabled (ADMIN_TOKEN or ADMIN_USERS not set)",
+    "Token de administración inválido": "Invalid admin token",
+    "Tu usuario no tiene permisos de administración": "Your user has no admin permissions",
+    // Salud (/readyz)
+    "Almacenamiento sin iniciar": "Storage not initialised",
+    "Almacenamiento {expected} no disponible (usando {name})": "{expected} storage unavailable (using {name})",
+    "El almacenamiento no responde": "Storage is not responding",
+    "memoria": "memory",
+    // Error de una lista de origen dentro de una combinada (antes que las genéricas)
+    "Lista {n}: {error}": "List {n}: {error}",
+    // Esquemas (schemaError)
+    "watched debe ser una fecha AAAA-MM-DD": "watched must be a YYYY-MM-DD date",
+    "{field} es obligatorio": "{field} is required",
+    "{field} no puede ser null": "{field} cannot be null",
+    "{field} tiene un formato inválido": "{field} has an invalid format",
+    "{field} debe tener al menos {n} {unit}": "{field} must have at least {n} {unit}",
+    "{field} admite como máximo {n} {unit}": "{field} allows at most {n} {unit}",
+    "{field} debe ser {what}": "{field} must be {what}",
+    "caracteres": "characters",
+    "elementos": "items",
+    // FilmAffinity (faFetch) y jobs
+    "No se pudo conectar con FilmAffinity ({error}).": "Could not connect to FilmAffinity ({error}).",
+    "FilmAffinity ha limitado las peticiones (429). Espera unos minutos.": "FilmAffinity is rate limiting requests (429). Wait a few minutes.",
+    "FilmAffinity ha bloqueado el acceso (403). La IP del servidor puede estar vetada.": "FilmAffinity blocked access (403). The server IP may be banned.",
+    "FilmAffinity no disponible (503).": "FilmAffinity unavailable (503).",
+    "FilmAffinity devolvió HTTP {status}.": "FilmAffinity returned HTTP {status}.",
+    "Respuesta vacía de FilmAffinity.": "Empty response from FilmAffinity.",
+    "FilmAffinity está protegido por Cloudflare en este momento.": "FilmAffinity is behind a Cloudflare challenge right now.",
+    "URL fuera de FilmAffinity: {url}": "URL outside FilmAffinity: {url}",
+    "Conectando con FilmAffinity…": "Connecting to FilmAffinity…",
+    "Preparando títulos importados…": "Preparing imported titles…",
+    "Reanudando tras reinicio del servidor…": "Resuming after a server restart…",
+    "Descargando página {page} de {total}…": "Downloading page {page} of {total}…",
+    "Descargando página {page}…": "Downloading page {page}…",
+    "Descargando fichas de FilmAffinity… ({i}/{n})": "Downloading FilmAffinity film pages… ({i}/{n})",
+    "Enriqueciendo con TMDB… ({i}/{n}) · {hits} en caché, {misses} consultados": "Enriching with TMDB… ({i}/{n}) · {hits} cached, {misses} fetched",
+    "Actualizando lista {i} de {n}…": "Updating list {i} of {n}…",
+  },
+};
+
+// Plantillas con partes variables → [regex, nombres, traducción], por idioma
+const TEMPLATES = {};
+for (const [locale, msgs] of Object.entries(MESSAGES)) {
+  TEMPLATES[locale] = Object.entries(msgs).filter(([es]) => es.includes("{")).map(([es, tr]) => {
+    const names = [...es.matchAll(/\{(\w+)\}/g)].map(m => m[1]);
+    const src = es.replace(/[.*+?^$()|[\]\\]/g, "\\$&").replace(/\{\w+\}/g, "(.+?)");
+    return [new RegExp("^" + src + "$"), names, tr];
+  });
+}
+
+function translate(text, locale) {
+  const msgs = MESSAGES[locale];
+  if (!msgs || typeof text !== "string") return text;
+  if (msgs[text]) return msgs[text];
+  for (const [re, names, tr] of TEMPLATES[locale]) {
+    const m = re.exec(text);
+    if (!m) continue;
+    const vars = Object.fromEntries(names.map((n, i) => [n, translate(m[i + 1], locale)]));
+    return tr.replace(/\{(\w+)\}/g, (_, n) => vars[n]);
+  }
+  return text;
+}
+
+// ?lang=en, o el primer idioma soportado de Accept-Language
+function pickLocale(req) {
+  const q = String(req.query?.lang || "").toLowerCase();
+  if (LOCALES.includes(q)) return q;
+  for (const part of String(req.headers["accept-language"] || "").split(",")) {
+    const lang = part.trim().slice(0, 2).toLowerCase();
+    if (LOCALES.includes(lang)) return lang;
+  }
+  return DEFAULT_LOCALE;
+}
+const validLocale = l => LOCALES.includes(l) ? l : null;
+
+// ISO 3166-1 alpha-2 → nombre del país. En español, los nombres de siempre (los que
+// usa FilmAffinity); para el resto de códigos e idiomas, Intl.DisplayNames.
+const COUNTRIES = {
+  es: {
+    US:"Estados Unidos",GB:"Reino Unido",FR:"Francia",ES:"España",DE:"Alemania",
+    IT:"Italia",JP:"Japón",KR:"Corea del Sur",CN:"China",MX:"México",AR:"Argentina",
+    BR:"Brasil",CA:"Canadá",AU:"Australia",SE:"Suecia",DK:"Dinamarca",NO:"Noruega",
+    FI:"Finlandia",BE:"Bélgica",NL:"Países Bajos",PL:"Polonia",RU:"Rusia",IN:"India",
+    IE:"Irlanda",AT:"Austria",CH:"Suiza",PT:"Portugal",RO:"Rumania",CZ:"República Checa",
+    HU:"Hungría",IL:"Israel",IR:"Irán",TR:"Turquía",CO:"Colombia",CL:"Chile",
+    PE:"Perú",VE:"Venezuela",UY:"Uruguay",CU:"Cuba",HK:"Hong Kong",TW:"Taiwán",
+    TH:"Tailandia",VN:"Vietnam",ID:"Indonesia",PH:"Filipinas",MA:"Marruecos",
+    NG:"Nigeria",ZA:"Sudáfrica",SN:"Senegal",GR:"Grecia",RS:"Serbia",HR:"Croacia",
+    SI:"Eslovenia",SK:"Eslovaquia",BG:"Bulgaria",LT:"Lituania",LV:"Letonia",
+    EE:"Estonia",UA:"Ucrania",KZ:"Kazajistán",GE:"Georgia",AM:"Armenia",AZ:"Azerbaiyán",
+    MK:"Macedonia del Norte",BA:"Bosnia y Herzegovina",AL:"Albania",
+    IS:"Islandia",LU:"Luxemburgo",MT:"Malta",CY:"Chipre",
+  },
+};
+const regionNames = {};
+function countryName(code, locale = DEFAULT_LOCALE) {
+  if (COUNTRIES[locale]?.[code]) return COUNTRIES[locale][code];
+  try {
+    regionNames[locale] ||= new Intl.DisplayNames([locale], { type: "region" });
+    return regionNames[locale].of(code) || code;
+  } catch { return code; }
+}
+
+module.exports = { LOCALES, DEFAULT_LOCALE, TMDB_LANGUAGES, translate, pickLocale, validLocale, countryName };
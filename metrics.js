@@ -0,0 +1,61 @@
+// ── Métricas ──────────────────────────────────────────────────────────────────
+// Contadores, gauges e histogramas en memoria, con etiquetas, que /metrics vuelca en
+// el formato de texto de Prometheus. Se pierden al reiniciar (como en cualquier
+// proceso que Prometheus raspa: los contadores vuelven a 0 y él lo detecta).
+
+const registry = [];
+
+const escLabel = v => String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+function labelStr(labels) {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${escLabel(v)}"`);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+// Las series se guardan por su cadena de etiquetas (orden fijo: el de la primera vez)
+function series(map, labels) {
+  const key = labelStr(labels);
+  if (!map.has(key)) map.set(key, { labels, value: 0 });
+  return map.get(key);
+}
+
+function counter(name, help) {
+  const values = new Map();
+  const m = {
+    inc(labels = {}, n = 1) { series(values, labels).value += n; },
+    lines: () => [...values.values()].map(s => `${name}${labelStr(s.labels)} ${s.value}`),
+  };
+  registry.push({ name, help, type: "counter", m });
+  return m;
+}
+
+// `read` se evalúa al volcar (nº de jobs en curso, memoria…)
+function gauge(name, help, read) {
+  registry.push({ name, help, type: "gauge", m: { lines: () => [`${name} ${read()}`] } });
+}
+
+function histogram(name, help, buckets) {
+  const values = new Map();
+  const m = {
+    observe(labels, v) {
+      const s = series(values, labels);
+      s.counts ||= buckets.map(() => 0);
+      buckets.forEach((b, i) => { if (v <= b) s.counts[i]++; });
+      s.value++;
+      s.sum = (s.sum || 0) + v;
+    },
+    lines: () => [...values.values()].flatMap(s => [
+      ...buckets.map((b, i) => `${name}_bucket${labelStr({ ...s.labels, le: b })} ${s.counts[i]}`),
+      `${name}_bucket${labelStr({ ...s.labels, le: "+Inf" })} ${s.value}`,
+      `${name}_sum${labelStr(s.labels)} ${s.sum}`,
+      `${name}_count${labelStr(s.labels)} ${s.value}`,
+    ]),
+  };
+  registry.push({ name, help, type: "histogram", m });
+  return m;
+}
+
+function render() {
+  return registry.map(({ name, help, type, m }) =>
+    [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...m.lines()].join("\n")).join("\n") + "\n";
+}
+
+module.exports = { counter, gauge, histogram, render };
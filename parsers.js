@@ -0,0 +1,301 @@
+// ── Parsers de FilmAffinity ──────────────────────────────────────────────────
+// HTML de las páginas de FA → films, sin red ni estado (se prueban con las páginas
+// guardadas en test/fixtures). Los mensajes [PARSE] van al log del servidor (setLogger).
+const cheerio = require("cheerio");
+
+let log = console.log;
+function setLogger(fn) { log = fn; }
+
+// Idioma y tipo de página a partir de la URL (ver FA_SOURCES en server.js)
+const FA_LOCALES = ["es", "en", "us"];
+
+function urlLocale(url) {
+  const m = (url || "").match(/filmaffinity\.com\/(\w{2})\//);
+  return m && FA_LOCALES.includes(m[1]) ? m[1] : "es";
+}
+
+function detectSource(url) {
+  const locale = urlLocale(url);
+  if (/\/userratings\.php/.test(url))              return { type: "userratings", locale };
+  if (/\/(topgen|ranking|top)[\w-]*\.php/.test(url)) return { type: "top", locale };
+  return { type: "userlist", locale };
+}
+
+// Título en minúsculas, sin acentos ni signos (comparaciones con TMDB, fechas de FA)
+function normalizeTitle(s) {
+  return (s || "").toLowerCase()
+    .normalize("NFD").replace(/[\u0300-\u036f]/g, "")  // quitar acentos
+    .replace(/[^\w\s]/g, "").replace(/\s+/g, " ").trim();
+}
+
+// Página de comprobación de Cloudflare en vez de la de FA
+function isChallengePage(html) {
+  return html.includes("Just a moment") || html.includes("cf-browser-verification") || html.includes("Checking your browser");
+}
+
+// ── Parser con selectores exhaustivos ────────────────────────────────────────
+function parseListPage(html, locale = "es") {
+  if (typeof html !== "string") return [];
+  const $ = cheerio.load(html);
+  const films = [];
+
+  // Intentar todos los contenedores posibles de FA listas de usuario
+  const containers = [
+    ".user-list-film-item",
+    ".fa-film",
+    ".user-movie-item",
+    ".movie-card",
+    "[class*='list-film']",
+    "[class*='userlist'] li",
+    ".lust-movie-img-wrapper",
+    "[data-movie-id]",
+  ];
+
+  const seenIds = new Set();
+
+  $(containers.join(", ")).each((_, el) => {
+    const $el = $(el);
+
+    // Buscar enlace a ficha
+    const links = $el.find("a").filter((_, a) => {
+      const h = $(a).attr("href") || "";
+      return /\/film\d{5,}\.html/.test(h);
+    });
+    const link = links.first();
+
+    if (!link.length) return;
+    // Con enlaces a varias fichas es un envoltorio de la lista (p. ej. <ul class="…list-films">
+    // cae en [class*='list-film']), no una card: el texto de todas confundiría el tipo
+    if (new Set(links.map((_, a) => $(a).attr("href").match(/\/film(\d{5,})\./)?.[1]).get()).size > 1) return;
+    const href = link.attr("href") || "";
+    const m = href.match(/\/film(\d{5,})\./);
+    if (!m) return;
+
+    const id = m[1];
+    if (seenIds.has(id)) return;
+    seenIds.add(id);
+
+    // Título: usar el selector más específico disponible.
+    // IMPORTANTE: NO usar link.text() como fallback — en FA el <a> que envuelve
+    // la card suele contener el título repetido en el texto interno.
+    const titleEl =
+      $el.find(".mc-title a").first()    ||
+      $el.find(".mc-title").first()      ||
+      $el.find(".title-mc").first()      ||
+      $el.find(".movie-title").first();
+
+    let title = titleEl.length ? titleEl.text().trim() : "";
+
+    // Si no encontramos nada con selectores específicos, usar el atributo title del enlace
+    // (el atributo title="" es fiable, el .text() del enlace puede tener contenido anidado)
+    if (!title) title = link.attr("title") || "";
+
+    // Limpieza: si el título aparece duplicado (ej "Blue Moon Blue Moon"), corregirlo
+    if (title) {
+      const half = Math.floor(title.length / 2);
+      const firstHalf = title.slice(0, half).trim();
+      const secondHalf = title.slice(half).trim();
+      if (firstHalf && firstHalf === secondHalf) title = firstHalf;
+    }
+
+    // Póster
+    const img = $el.find("img").first();
+    let poster = img.attr("src") || img.attr("data-src") || img.attr("data-lazy-src") || null;
+    if (poster && poster.startsWith("//")) poster = "https:" + poster;
+
+    // Nota media
+    const ratTxt = $el.find(".avgrat-box, .rat-avg, [class*='avgrat'], [class*='avg-rat'], .mr-avg").first()
+                      .text().trim().replace(",", ".");
+    const rating = parseFloat(ratTxt) || null;
+
+    // Año
+    const yearTxt = $el.find("[class*='year'], .mc-year, .year").first().text().trim();
+    const year = parseInt(yearTxt) || null;
+
+    // Tipo
+    const cardText = $el.text().toLowerCase();
+    const type = (cardText.includes("serie de tv") || cardText.includes("miniserie") ||
+                  cardText.includes("tv series") ||
+                  $el.find("[class*='serie'], [class*='tv']").length > 0) ? "series" : "movie";
+
+    films.push({ id, title, poster, rating, year, type,
+      filmaffinity_url: `https://www.filmaffinity.com/${locale}/film${id}.html` });
+  });
+
+  log("[PARSE] Selector principal:", films.length, "films");
+
+  // Fallback: buscar cualquier enlace /<idioma>/filmXXXXX.html con imagen cercana
+  if (films.length === 0) {
+    const seen = new Set();
+    $(`a[href*='/${locale}/film']`).each((_, el) => {
+      const href = $(el).attr("href") || "";
+      const m = href.match(/\/film(\d{5,})\./);
+      if (!m || seen.has(m[1])) return;
+      seen.add(m[1]);
+
+      const $a = $(el);
+      const $parent = $a.parent();
+      const img = $a.find("img").first().length ? $a.find("img").first() : $parent.find("img").first();
+      let poster = img.attr("src") || img.attr("data-src") || null;
+      if (poster && poster.startsWith("//")) poster = "https:" + poster;
+
+      const title = $a.attr("title") || $a.text().trim() || null;
+
+      films.push({
+        id: m[1], title, poster,
+        rating: null, year: null, type: "movie",
+        filmaffinity_url: `https://www.filmaffinity.com/${locale}/film${m[1]}.html`,
+      });
+    });
+    log("[PARSE] Fallback:", films.length, "films");
+  }
+
+  // Deduplicar por ID como última salvaguarda
+  const unique = [];
+  const finalSeen = new Set();
+  for (const f of films) {
+    if (!finalSeen.has(f.id)) { finalSeen.add(f.id); unique.push(f); }
+  }
+  log("[PARSE] Final únicos:", unique.length);
+  return unique;
+}
+
+// Fecha de FA ("12 de marzo de 2024" / "March 12, 2024") → "2024-03-12"
+const MONTHS = {
+  enero: 1, febrero: 2, marzo: 3, abril: 4, mayo: 5, junio: 6, julio: 7, agosto: 8,
+  septiembre: 9, setiembre: 9, octubre: 10, noviembre: 11, diciembre: 12,
+  january: 1, february: 2, march: 3, april: 4, may: 5, june: 6, july: 7, august: 8,
+  september: 9, october: 10, november: 11, december: 12,
+};
+function parseFADate(text) {
+  const t = normalizeTitle(text);
+  let m = t.match(/(\d{1,2}) de (\w+) de (\d{4})/);
+  let d, mo, y;
+  if (m) [, d, mo, y] = m;
+  else if ((m = t.match(/(\w+) (\d{1,2}) (\d{4})/))) [, mo, d, y] = m;
+  else return null;
+  const month = MONTHS[mo];
+  if (!month) return null;
+  return `${y}-${String(month).padStart(2, "0")}-${String(d).padStart(2, "0")}`;
+}
+
+// Votaciones de un usuario: cards normales agrupadas bajo cabeceras de fecha,
+// cada una con la nota que le dio el usuario
+function parseRatingsPage(html, locale = "es") {
+  const films = parseListPage(html, locale);
+  if (!films.length) return films;
+  const $ = cheerio.load(html);
+
+  const byId = {};
+  let ratedAt = null;
+  $(".user-ratings-header, [class*='ratings-header'], .user-ratings-movie, [class*='user-ratings-movie'], .movie-card")
+    .each((_, el) => {
+      const $el = $(el);
+      if (/ratings-header/.test($el.attr("class") || "")) { ratedAt = parseFADate($el.text()) || ratedAt; return; }
+      const m = ($el.find("a[href*='/film']").first().attr("href") || "").match(/\/film(\d{5,})\./);
+      if (!m) return;
+      const rat = parseFloat($el.find(".ur-mr-rat, [class*='ur-mr-rat'], [class*='user-rat']").first().text().trim().replace(",", "."));
+      const prev = byId[m[1]] || {};
+      byId[m[1]] = { user_rating: prev.user_rating ?? (isNaN(rat) ? null : rat), rated_at: prev.rated_at || ratedAt };
+    });
+
+  log("[PARSE] Votaciones con nota de usuario:", Object.values(byId).filter(v => v.user_rating != null).length);
+  return films.map(f => ({ ...f, ...(byId[f.id] || {}) }));
+}
+
+// Tops de FA: cards normales con su posición en el ranking
+function parseTopPage(html, locale = "es") {
+  const films = parseListPage(html, locale);
+  const $ = cheerio.load(html);
+  const rank = {};
+  $("[class*='position'], .rank").each((_, el) => {
+    const $row = $(el).closest("li, tr, .row, [class*='movie']");
+    const m = ($row.find("a[href*='/film']").first().attr("href") || "").match(/\/film(\d{5,})\./);
+    const n = parseInt($(el).text().trim());
+    if (m && n && !rank[m[1]]) rank[m[1]] = n;
+  });
+  return films.map(f => rank[f.id] ? { ...f, rank: rank[f.id] } : f);
+}
+
+function parseTotalPages(html) {
+  if (typeof html !== "string") return 1;
+  const $ = cheerio.load(html);
+  let max = 1;
+  // Selectores específicos de paginación — evitar [class*='page'] que captura años/IDs
+  // (la página actual no es enlace: en la última, es la que da el total)
+  $(".pager a, .pagination a, [class*='pager'] a, nav a, .pager .current, .pagination .active").each((_, el) => {
+    const n = parseInt($(el).text().trim());
+    // Solo números razonables de página (1-99)
+    if (!isNaN(n) && n > max && n <= 99) max = n;
+  });
+  return max;
+}
+
+// ── Ficha de película FA (director, reparto, título original…) ───────────────
+// Los <dt> de la ficha cambian según el idioma de FA: se buscan por etiqueta.
+const FILM_LABELS = {
+  original_title: ["título original", "original title"],
+  directors:      ["dirección", "director", "directors"],
+  cast:           ["reparto", "cast"],
+  genres:         ["género", "genre"],
+};
+
+function parseFilmPage(html) {
+  if (typeof html !== "string") return {};
+  const $ = cheerio.load(html);
+
+  const dd = field => {
+    let found = null;
+    $("dl.movie-info dt, dl dt").each((_, el) => {
+      const label = $(el).text().trim().toLowerCase();
+      if (!found && FILM_LABELS[field].includes(label)) found = $(el).next("dd");
+    });
+    return found;
+  };
+  const names = ($el, sel) => {
+    const out = [];
+    $el.find(sel).each((_, el) => { const t = $(el).text().trim(); if (t && !out.includes(t)) out.push(t); });
+    return out;
+  };
+
+  // Título original (quitar el "aka" que FA añade a veces)
+  const $orig = dd("original_title");
+  const original_title = $orig
+    ? $orig.clone().children(".akas, ul").remove().end().text().replace(/\s+aka\s*$/i, "").replace(/\s+/g, " ").trim() || null
+    : null;
+
+  // Dirección y reparto: primero itemprop, si no los enlaces del <dd>
+  const $dir = dd("directors");
+  let directors = $dir ? names($dir, "[itemprop='name']") : [];
+  if ($dir && !directors.length) directors = names($dir, "a");
+  if (!directors.length) directors = names($("[itemprop='director']"), "[itemprop='name']");
+
+  const $cast = dd("cast");
+  let cast = $cast ? names($cast, "[itemprop='name']") : [];
+  if ($cast && !cast.length) cast = names($cast, "a");
+  if (!cast.length) cast = names($("[itemprop='actor']"), "[itemprop='name']");
+  cast = cast.slice(0, 10);
+
+  // Géneros FA (itemprop=genre) y "topics" (resto de enlaces del mismo <dd>)
+  const $gen = dd("genres");
+  const fa_genres = $gen ? names($gen, "[itemprop='genre'] a, [itemprop='genre']") : [];
+  const topics    = $gen ? names($gen, "a[href*='topic']") : [];
+
+  // Número de votos
+  const $votes = $("[itemprop='ratingCount']").first();
+  const votes  = parseInt(($votes.attr("content") || $votes.text()).replace(/\D/g, "")) || null;
+
+  return {
+    ...(original_title ? { original_title } : {}),
+    ...(directors.length ? { directors } : {}),
+    ...(cast.length ? { cast } : {}),
+    ...(fa_genres.length ? { fa_genres } : {}),
+    ...(topics.length ? { topics } : {}),
+    ...(votes ? { votes } : {}),
+  };
+}
+
+module.exports = {
+  FA_LOCALES, urlLocale, detectSource, normalizeTitle, isChallengePage, setLogger,
+  parseListPage, parseRatingsPage, parseTopPage, parseTotalPages, parseFADate, parseFilmPage,
+};
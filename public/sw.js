@@ -0,0 +1,76 @@
+// Service worker de FA Viewer: la app funciona sin conexión con lo último que se vio.
+//   - index.html (y cualquier navegación): red primero, si no la copia guardada
+//   - /api/list, /api/marks, /api/favs, /api/progress (GET): red primero, si no la última respuesta
+//   - carátulas: caché primero (se guardan al verlas), hasta POSTER_MAX
+// Los cambios de marcas, favoritos y seguimiento sin conexión los encola la página (outbox), no el SW.
+const VERSION     = "v1";
+const SHELL_CACHE = "fa-shell-" + VERSION;
+const DATA_CACHE  = "fa-data-" + VERSION;
+const IMG_CACHE   = "fa-posters-" + VERSION;
+const SHELL       = ["/", "/manifest.webmanifest", "/icon-192.png", "/icon-512.png"];
+const POSTER_MAX  = 600;
+const POSTER_HOSTS = ["image.tmdb.org", "pics.filmaffinity.com"];
+
+self.addEventListener("install", e => {
+  e.waitUntil(caches.open(SHELL_CACHE).then(c => c.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", e => {
+  const keep = [SHELL_CACHE, DATA_CACHE, IMG_CACHE];
+  e.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys.filter(k => !keep.includes(k)).map(k => caches.delete(k))))
+    .then(() => self.clients.claim()));
+});
+
+self.addEventListener("fetch", e => {
+  const req = e.request;
+  if (req.method !== "GET") return;
+  const url = new URL(req.url);
+
+  if (req.mode === "navigate")
+    return e.respondWith(networkFirst(req, SHELL_CACHE, "/"));
+  if (/^\/api\/(list|marks|favs|progress)(\/|$)/.test(url.pathname) && !url.pathname.startsWith("/api/list/"))
+    return e.respondWith(networkFirst(req, DATA_CACHE, dataKey(req, url)));
+  if (POSTER_HOSTS.includes(url.hostname))
+    return e.respondWith(cacheFirst(req, IMG_CACHE));
+});
+
+// Marcas, favoritos y seguimiento dependen de la sesión: sin conexión cada usuario ve solo lo suyo
+function dataKey(req, url) {
+  const auth = req.headers.get("Authorization");
+  if (!auth) return null;
+  url.searchParams.set("_u", auth.slice(-16));
+  return url.href;
+}
+
+// `fallback`: otra entrada de la caché si no está esta (la app responde igual en cualquier ruta)
+async function networkFirst(req, cacheName, fallback) {
+  const cache = await caches.open(cacheName);
+  try {
+    const res = await fetch(req);
+    if (res.ok) cache.put(fallback || req, res.clone());
+    return res;
+  } catch (e) {
+    const hit = await cache.match(fallback || req);
+    if (hit) return hit;
+    throw e;
+  }
+}
+
+async function cacheFirst(req, cacheName) {
+  const cache = await caches.open(cacheName);
+  const hit = await cache.match(req);
+  if (hit) return hit;
+  const res = await fetch(req);
+  // Respuestas opacas (sin CORS) también valen para <img>
+  // Sin esperar: si la caché se llena (las opacas cuentan mucho) el póster se sirve igual
+  if (res.ok || res.type === "opaque") {
+    cache.put(req, res.clone()).then(() => trimCache(cache, POSTER_MAX)).catch(() => {});
+  }
+  return res;
+}
+
+async function trimCache(cache, max) {
+  const keys = await cache.keys();
+  for (const k of keys.slice(0, Math.max(0, keys.length - max))) await cache.delete(k);
+}
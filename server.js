@@ -4,84 +4,331 @@ const cheerio   = require("cheerio");
 const fetch     = require("node-fetch");
 const rateLimit = require("express-rate-limit");
 const path      = require("path");
-const { MongoClient } = require("mongodb");
+const fs        = require("fs");
+const crypto    = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+const { createStore, storageType } = require("./storage");
+const metrics   = require("./metrics");
+const { LOCALES, DEFAULT_LOCALE, TMDB_LANGUAGES, translate, pickLocale, validLocale, countryName } = require("./i18n");
+const parsers   = require("./parsers");
+const { urlLocale, detectSource, normalizeTitle, isChallengePage, parseListPage, parseRatingsPage,
+        parseTopPage, parseTotalPages, parseFilmPage } = parsers;
 
 const app  = express();
 const PORT = process.env.PORT || 3001;
 const TMDB_KEY    = process.env.TMDB_KEY    || "";
 const MONGODB_URI = process.env.MONGODB_URI || "";
-
-// ── MongoDB Atlas ─────────────────────────────────────────────────────────────
-// Si MONGODB_URI está configurada, todo persiste en la nube (compartido entre usuarios).
-// Si no, usa memoria (datos se pierden al reiniciar).
-let db = null;
+// Firma de los tokens de sesión. Sin AUTH_SECRET se genera uno por arranque
+// (las sesiones caducan al reiniciar el servidor).
+const AUTH_SECRET = process.env.AUTH_SECRET || crypto.randomBytes(32).toString("hex");
+const TOKEN_TTL   = 30 * 24 * 60 * 60 * 1000;
+// Administración: cabecera X-Admin-Token = ADMIN_TOKEN, o sesión de un usuario de
+// ADMIN_USERS (lista separada por comas). Sin ninguno de los dos, desactivada.
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || "";
+const ADMIN_USERS = (process.env.ADMIN_USERS || "").split(",").map(u => u.trim()).filter(Boolean);
+// Quién puede lanzar descargas de FA, importar o combinar listas y fijar coincidencias
+// TMDB: any | user | admin. El registro es abierto, así que "user" (por defecto) equivale
+// a cualquiera que se cree una cuenta; para restringirlo de verdad, "admin".
+const REFRESH_ROLE = ["any", "user", "admin"].includes(process.env.REFRESH_ROLE) ? process.env.REFRESH_ROLE : "user";
+// Detrás de un proxy (Render, nginx…): nº de saltos o valor de "trust proxy" de Express,
+// para que los límites por IP y la auditoría vean la IP real del cliente
+const TRUST_PROXY = process.env.TRUST_PROXY || "";
+// Refrescos programados: intervalo por defecto (horas), jitter (fracción del intervalo, 0-1)
+// y máximo de jobs simultáneos (manuales incluidos) para no provocar 429 en FA
+const SCHEDULE_HOURS       = parseFloat(process.env.SCHEDULE_HOURS) || 24;
+const scheduleJitter       = parseFloat(process.env.SCHEDULE_JITTER);
+const SCHEDULE_JITTER      = scheduleJitter >= 0 && scheduleJitter <= 1 ? scheduleJitter : 0.1;
+const SCHEDULE_CONCURRENCY = parseInt(process.env.SCHEDULE_CONCURRENCY) || 1;
+// Descarga opcional de la ficha de cada film en FA (director, reparto, título original…)
+const FA_DETAILS  = ["1", "true"].includes((process.env.FA_DETAILS || "").toLowerCase());
+const FA_DETAILS_TTL = (parseFloat(process.env.FA_DETAILS_TTL_DAYS) || 90) * 24 * 60 * 60 * 1000;
+// Validez de los datos TMDB guardados antes de volver a consultarlos (días)
+const TMDB_TTL    = (parseFloat(process.env.TMDB_TTL_DAYS) || 7) * 24 * 60 * 60 * 1000;
+// API de TMDB (configurable para apuntar a un sustituto local en pruebas) y país
+// para el que se guardan las plataformas donde ver cada título
+const TMDB_API    = (process.env.TMDB_API_URL || "https://api.themoviedb.org/3").replace(/\/+$/, "");
+const TMDB_REGION = (process.env.TMDB_REGION || "ES").toUpperCase();
+// Peticiones a FA: reintentos ante errores transitorios (429, 5xx, red) y separación
+// mínima entre peticiones al mismo host, compartida por todos los jobs (ms)
+// (un valor no numérico no puede dejar NaN: `attempt >= NaN` nunca se cumpliría)
+const faRetries       = parseInt(process.env.FA_RETRIES);
+const FA_RETRIES      = Number.isInteger(faRetries) && faRetries >= 0 ? faRetries : 4;
+const FA_MIN_INTERVAL = parseInt(process.env.FA_MIN_INTERVAL_MS) || 2000;
+// Logs: "text" (por defecto) o "json" (una línea JSON por mensaje, con jobId en los de un job)
+const LOG_FORMAT    = process.env.LOG_FORMAT === "json" ? "json" : "text";
+// /metrics: con METRICS_TOKEN exige "Authorization: Bearer <token>"; sin él, abierto
+const METRICS_TOKEN = process.env.METRICS_TOKEN || "";
+
+// ── Almacenamiento ────────────────────────────────────────────────────────────
+// STORAGE=mongo|file|memory (ver storage.js). Por defecto MongoDB si hay MONGODB_URI,
+// fichero si hay DATA_FILE y, si no, memoria (datos se pierden al reiniciar). Para
+// autoalojar sin BD en la nube, STORAGE=file guarda todo en DATA_FILE (o data/fa-viewer.json).
+const STORAGE   = process.env.STORAGE   || "";
+const DATA_FILE = process.env.DATA_FILE || "";
+let store = null;
 
 async function connectDB() {
-  if (!MONGODB_URI) { log("[DB] Sin MONGODB_URI — usando memoria"); return; }
-  try {
-    const client = new MongoClient(MONGODB_URI, { serverSelectionTimeoutMS: 8000 });
-    await client.connect();
-    db = client.db("fa_viewer");
-    log("[DB] Conectado a MongoDB Atlas");
-    await db.collection("lists").createIndex({ key: 1 }, { unique: true });
-    await db.collection("marks").createIndex({ key: 1 }, { unique: true });
-    await db.collection("tmdb").createIndex({ faId: 1 }, { unique: true });
-  } catch(e) {
-    log("[DB] Error:", e.message, "— fallback a memoria");
-    db = null;
-  }
+  store = await createStore({ type: STORAGE, uri: MONGODB_URI, file: DATA_FILE, log });
+  log(`[DB] Almacenamiento: ${store.name}`);
 }
 
-// Fallback en memoria si no hay MongoDB
-const mem = { lists: {}, marks: {}, tmdb: {} };
 const tmdbCache = {}; // caché en memoria para evitar consultas repetidas a DB
 
-async function dbGetList(key) {
-  if (!db) return mem.lists[key] || null;
-  return await db.collection("lists").findOne({ key }, { projection: { _id: 0 } });
-}
-async function dbSaveList(key, films, listUrl) {
-  const doc = { key, films, listUrl, ts: Date.now() };
-  if (!db) { mem.lists[key] = doc; return; }
-  await db.collection("lists").updateOne({ key }, { $set: doc }, { upsert: true });
-}
-async function dbGetMarks(key) {
-  if (!db) return mem.marks[key] || [];
-  const doc = await db.collection("marks").findOne({ key });
-  return doc?.marks || [];
+async function dbGetMarks(key, user) { return (await store.getSet("marks", key, user)).marks; }
+async function dbGetFavs(key, user)  { return (await store.getSet("favs",  key, user)).marks; }
+// Recuento por film de todos los usuarios de una lista → { counts: { id: n }, users: [..] }
+async function dbCountUserSets(coll, key) {
+  const docs = await store.getUserSets(coll, key);
+  const counts = {};
+  for (const d of docs) for (const id of d.marks || []) counts[id] = (counts[id] || 0) + 1;
+  return { counts, users: docs.filter(d => d.marks?.length).map(d => d.user) };
 }
-async function dbSaveMarks(key, marks) {
-  if (!db) { mem.marks[key] = marks; return; }
-  await db.collection("marks").updateOne({ key }, { $set: { key, marks, ts: Date.now() } }, { upsert: true });
-}
-async function dbGetFavs(key) {
-  if (!db) return mem.favs?.[key] || [];
-  const doc = await db.collection("favs").findOne({ key });
-  return doc?.marks || [];
-}
-async function dbSaveFavs(key, marks) {
-  if (!db) { if (!mem.favs) mem.favs = {}; mem.favs[key] = marks; return; }
-  await db.collection("favs").updateOne({ key }, { $set: { key, marks, ts: Date.now() } }, { upsert: true });
-}
-async function dbGetTmdb(faId) {
-  if (!db) return mem.tmdb[faId] || null;
-  return await db.collection("tmdb").findOne({ faId }, { projection: { _id: 0 } });
-}
-async function dbSaveTmdb(faId, data) {
-  if (!db) { mem.tmdb[faId] = { faId, data, ts: Date.now() }; return; }
-  await db.collection("tmdb").updateOne({ faId }, { $set: { faId, data, ts: Date.now() } }, { upsert: true });
+
+// Historial de versiones: cada refresco guarda un snapshot ligero de la lista
+// junto con el diff respecto a la versión anterior (más reciente primero)
+async function dbSaveSnapshot(key, films, diff) {
+  const doc = { key, ts: Date.now(), films: films.map(slimFilm), diff };
+  await store.saveSnapshot(doc);
+  return doc;
 }
 
-// Jobs de descarga (solo en memoria — no necesitan persistir)
+// Jobs de descarga: persistidos para poder reanudarlos tras un reinicio.
+// `jobs` contiene los que están vivos en este proceso (progreso en tiempo real).
 const jobs = {};
+async function dbSaveJob(job) { await store.saveJob({ ...job, ts: Date.now() }); }
 
 // ── Middleware ────────────────────────────────────────────────────────────────
+if (TRUST_PROXY) app.set("trust proxy", /^\d+$/.test(TRUST_PROXY) ? +TRUST_PROXY : TRUST_PROXY === "true" || TRUST_PROXY);
 app.use(cors());
 app.use(express.json({ limit: "20mb" }));
 app.use(express.static(path.join(__dirname, "public")));
 app.use("/api/", rateLimit({ windowMs: 60_000, max: 200 }));
 
-function log(...a) { console.log(new Date().toISOString(), ...a); }
+// ── Logs ──────────────────────────────────────────────────────────────────────
+// Cada ejecución de un job corre dentro de logContext ({ jobId, key }): todas sus líneas
+// ([FA], [PARSE], [TMDB], [JOB]…) llevan el mismo jobId aunque las escriban funciones
+// que no saben nada del job. En JSON la etiqueta inicial "[FA]" va aparte, en `tag`.
+const logContext = new AsyncLocalStorage();
+function log(...a) {
+  const ctx = logContext.getStore();
+  if (LOG_FORMAT === "text") return console.log(new Date().toISOString(), ...(ctx ? [`(${ctx.jobId})`] : []), ...a);
+  const msg = a.map(x => typeof x === "string" ? x : x instanceof Error ? x.message : JSON.stringify(x)).join(" ");
+  const tag = /^\[(\w+)\]\s*/.exec(msg);
+  console.log(JSON.stringify({
+    ts: new Date().toISOString(), ...(tag ? { tag: tag[1] } : {}), msg: tag ? msg.slice(tag[0].length) : msg, ...ctx,
+  }));
+}
+parsers.setLogger(log);
+
+// ── Métricas (/metrics) ───────────────────────────────────────────────────────
+const metric = {
+  faRequests:  metrics.counter("fa_requests_total", "Peticiones a FilmAffinity por código HTTP (\"error\" = sin respuesta)"),
+  tmdbScore:   metrics.histogram("tmdb_match_score", "Puntuación del mejor candidato TMDB en cada búsqueda",
+                                 [-50, 0, 20, 40, 60, 80, 100, 120, 150, 180]),
+  tmdbMatches: metrics.counter("tmdb_matches_total", "Búsquedas TMDB por resultado (matched | rejected | no_results | error)"),
+  cache:       metrics.counter("cache_requests_total", "Consultas a las cachés de datos por caché (tmdb | fa_details) y resultado (hit | miss)"),
+  jobDuration: metrics.histogram("refresh_job_duration_seconds", "Duración de cada ejecución de un job por tipo (list | import | merge) y estado final",
+                                 [10, 30, 60, 120, 300, 600, 1200, 1800, 3600, 7200]),
+};
+metrics.gauge("refresh_jobs_running", "Jobs en curso", () => Object.values(jobs).filter(j => j.status === "running").length);
+metrics.gauge("sse_clients", "Conexiones SSE abiertas", () => Object.values(streams).reduce((n, subs) => n + subs.size, 0));
+metrics.gauge("process_uptime_seconds", "Segundos desde el arranque", () => Math.round(process.uptime()));
+metrics.gauge("process_resident_memory_bytes", "Memoria residente del proceso", () => process.memoryUsage().rss);
+
+// ── Cuentas de usuario ────────────────────────────────────────────────────────
+// Contraseñas con scrypt + sal; sesión = token firmado (HMAC) sin estado en servidor:
+//   base64url({ u, exp }) + "." + base64url(hmac)
+function hashPassword(password, salt = crypto.randomBytes(16).toString("hex")) {
+  return { salt, hash: crypto.scryptSync(password, salt, 64).toString("hex") };
+}
+function checkPassword(password, user) {
+  const { hash } = hashPassword(password, user.salt);
+  return crypto.timingSafeEqual(Buffer.from(hash, "hex"), Buffer.from(user.hash, "hex"));
+}
+function signToken(username) {
+  const payload = Buffer.from(JSON.stringify({ u: username, exp: Date.now() + TOKEN_TTL })).toString("base64url");
+  const sig = crypto.createHmac("sha256", AUTH_SECRET).update(payload).digest("base64url");
+  return `${payload}.${sig}`;
+}
+function verifyToken(token) {
+  const [payload, sig] = (token || "").split(".");
+  if (!payload || !sig) return null;
+  const expected = crypto.createHmac("sha256", AUTH_SECRET).update(payload).digest("base64url");
+  if (sig.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))) return null;
+  try {
+    const { u, exp } = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    return exp > Date.now() ? u : null;
+  } catch { return null; }
+}
+
+// req.user = nombre de usuario si trae un token válido (Authorization: Bearer …), si no null.
+// Un token inválido o caducado en /api/ es un 401: no se degrada a anónimo (escribiría en
+// las marcas compartidas). req.admin = X-Admin-Token correcto o usuario de ADMIN_USERS.
+function isAdminToken(token) {
+  return !!ADMIN_TOKEN && typeof token === "string" && token.length === ADMIN_TOKEN.length
+      && crypto.timingSafeEqual(Buffer.from(token), Buffer.from(ADMIN_TOKEN));
+}
+app.use((req, res, next) => {
+  const m = (req.headers.authorization || "").match(/^Bearer\s+(.+)$/i);
+  req.user  = m ? verifyToken(m[1]) : null;
+  if (m && !req.user && req.path.startsWith("/api/"))
+    return res.status(401).json(localize({ error: "Sesión caducada o no válida" }, pickLocale(req)));
+  req.admin = isAdminToken(req.headers["x-admin-token"]) || (!!req.user && ADMIN_USERS.includes(req.user));
+  next();
+});
+
+// ── Idioma ────────────────────────────────────────────────────────────────────
+// req.locale (?lang= o Accept-Language, ver i18n.js). Los `error`, `progress` y `message` de las
+// respuestas JSON se traducen al salir; los eventos SSE, en sseMessage.
+function localize(body, locale) {
+  if (locale === DEFAULT_LOCALE || !body || typeof body !== "object") return body;
+  const out = { ...body };
+  if (typeof out.error    === "string") out.error    = translate(out.error, locale);
+  if (typeof out.progress === "string") out.progress = translate(out.progress, locale);
+  if (typeof out.message  === "string") out.message  = translate(out.message, locale);
+  return out;
+}
+function sseMessage(event, data, locale) {
+  return `event: ${event}\ndata: ${JSON.stringify(localize(data, locale))}\n\n`;
+}
+app.use((req, res, next) => {
+  req.locale = pickLocale(req);
+  const json = res.json.bind(res);
+  res.json = body => json(localize(body, req.locale));
+  next();
+});
+
+// ── Roles ─────────────────────────────────────────────────────────────────────
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN && !ADMIN_USERS.length)
+    return res.status(503).json({ error: "Administración desactivada (falta ADMIN_TOKEN o ADMIN_USERS)" });
+  if (req.admin) return next();
+  if (req.user) return res.status(403).json({ error: "Tu usuario no tiene permisos de administración" });
+  res.status(401).json({ error: "Token de administración inválido" });
+}
+// role: "any" (todos), "user" (con sesión o admin), "admin"
+function requireRole(role) {
+  if (role === "admin") return requireAdmin;
+  return (req, res, next) => role === "any" || req.user || req.admin ? next()
+    : res.status(401).json({ error: "Inicia sesión para descargar, importar o combinar listas" });
+}
+
+// ── Límites por ruta ──────────────────────────────────────────────────────────
+// Además del global de /api/: por usuario si hay sesión, si no por IP
+function routeLimit(minutes, max) {
+  return rateLimit({
+    windowMs: minutes * 60_000, max, standardHeaders: true, legacyHeaders: false,
+    keyGenerator: req => req.user ? "u:" + req.user : req.ip,
+    message: { error: "Demasiadas peticiones, prueba de nuevo más tarde" },
+  });
+}
+const limits = {
+  refresh: routeLimit(10, 10),  // descargas de FA, importaciones y combinaciones
+  auth:    routeLimit(15, 20),  // alta y login (fuerza bruta)
+  write:   routeLimit(1, 60),   // marcas, favoritos, restore, TMDB fijado
+  admin:   routeLimit(1, 30),   // dump y diagnóstico (cada dump es una petición a FA)
+};
+
+// ── Validación de cuerpos ─────────────────────────────────────────────────────
+// Esquema mínimo: { type: string|number|integer|boolean|array|object, nullable,
+// min/max (longitud en string y array, valor en números), pattern, enum, check (función),
+// items (array), props + required (object), msg (mensaje propio) }. Devuelve el primer error o null.
+const TYPE_OK = {
+  string:  v => typeof v === "string",
+  number:  v => typeof v === "number" && Number.isFinite(v),
+  integer: v => Number.isInteger(v),
+  boolean: v => typeof v === "boolean",
+  array:   v => Array.isArray(v),
+  object:  v => typeof v === "object" && !Array.isArray(v),
+};
+function schemaError(s, v, at = "") {
+  if (v === undefined) return null;
+  const fail = why => s.msg || `${at || "body"} ${why}`;
+  if (v === null) return s.nullable ? null : fail("no puede ser null");
+  if (!TYPE_OK[s.type](v)) return fail("debe ser " + s.type);
+  if (s.enum && !s.enum.includes(v)) return fail("debe ser " + s.enum.join("|"));
+  if (s.pattern && !s.pattern.test(v)) return fail("tiene un formato inválido");
+  if (s.check && !s.check(v)) return fail("tiene un formato inválido");
+  const unit = { string: " caracteres", array: " elementos" }[s.type];
+  const n = unit ? v.length : v;
+  if (s.min != null && n < s.min) return fail(unit ? `debe tener al menos ${s.min}${unit}` : `debe ser ≥ ${s.min}`);
+  if (s.max != null && n > s.max) return fail(unit ? `admite como máximo ${s.max}${unit}` : `debe ser ≤ ${s.max}`);
+  if (s.items) for (let i = 0; i < v.length; i++) {
+    const e = schemaError(s.items, v[i], `${at}[${i}]`);
+    if (e) return e;
+  }
+  if (s.props) {
+    for (const k of s.required || []) if (v[k] === undefined) return s.props[k].msg || `${at ? at + "." : ""}${k} es obligatorio`;
+    for (const [k, ps] of Object.entries(s.props)) {
+      const e = schemaError(ps, v[k], at ? `${at}.${k}` : k);
+      if (e) return e;
+    }
+  }
+  return null;
+}
+function validBody(schema) {
+  return (req, res, next) => {
+    const error = schemaError(schema, req.body ?? {});
+    error ? res.status(400).json({ error }) : next();
+  };
+}
+const ID      = { type: "string", min: 1, max: 40 };
+const IDS     = { type: "array", max: 50_000, items: ID };
+const LIST_URL = { type: "string", min: 1, max: 4000 };
+// AAAA-MM-DD que exista (Date.parse acepta 2024-02-30 y lo pasa a marzo)
+const isDay = v => { const t = Date.parse(v + "T00:00:00Z"); return !isNaN(t) && new Date(t).toISOString().slice(0, 10) === v; };
+const SCHEMAS = {
+  restore: { type: "object", required: ["url", "films"], props: {
+    url:   LIST_URL,
+    films: { type: "array", max: 20_000, items: { type: "object", required: ["id"], props: {
+      id: ID, title: { type: "string", nullable: true, max: 500 },
+    } } },
+    ts: { type: "integer", nullable: true },
+  } },
+  setMarks:  { type: "object", required: ["marks"], props: { marks: IDS, v: { type: "integer", nullable: true } } },
+  patchMarks:{ type: "object", props: { add: IDS, remove: IDS } },
+  exportIds: { type: "object", props: { ids: IDS } },
+  merge:     { type: "object", required: ["urls"], props: { urls: { type: "array", max: 10, items: LIST_URL } } },
+  pin:       { type: "object", props: {
+    tmdbId: { type: "integer", nullable: true, min: 1 }, mediaType: { type: "string", enum: ["movie", "series"] },
+  } },
+  register:  { type: "object", required: ["username", "password"], props: {
+    username: { type: "string", pattern: /^[\w.-]{3,32}$/, msg: "Usuario: 3-32 caracteres (letras, números, . _ -)" },
+    password: { type: "string", min: 6, max: 200, msg: "La contraseña debe tener entre 6 y 200 caracteres" },
+  } },
+  login:     { type: "object", required: ["username", "password"], props: {
+    username: { type: "string", max: 32 }, password: { type: "string", max: 200 },
+  } },
+  progress:  { type: "object", required: ["id", "state"], props: {
+    // Ids de FA, o de listas importadas de Letterboxd / IMDb
+    id: { ...ID, pattern: /^(\d{5,}|(lb|imdb)_\w+)$/ },
+    state: { type: "object", nullable: true, props: {
+      watched: { type: "string", nullable: true, pattern: /^\d{4}-\d{2}-\d{2}$/, check: isDay, msg: "watched debe ser una fecha AAAA-MM-DD" },
+      rating:  { type: "integer", nullable: true, min: 1, max: 10 },
+      notes:   { type: "string", nullable: true, max: 2000 },
+      season:  { type: "integer", nullable: true, min: 1, max: 999 },
+      episode: { type: "integer", nullable: true, min: 1, max: 9999 },
+    } },
+  } },
+  schedule:  { type: "object", props: {
+    url: LIST_URL, intervalHours: { type: "number", nullable: true, min: 1 }, paused: { type: "boolean", nullable: true },
+  } },
+};
+
+// ── Auditoría ─────────────────────────────────────────────────────────────────
+// Quién cambió qué: descargas, restauraciones, importaciones, marcas, favoritos,
+// fijados de TMDB y programaciones. Consultable en /api/admin/audit.
+function audit(req, action, key, detail) {
+  const entry = {
+    ts: Date.now(), action, key: key || null,
+    user: req.user || null, admin: req.admin, ip: req.ip || null,
+    ...(detail ? { detail } : {}),
+  };
+  log("[AUDIT]", action, key || "", entry.user || (entry.admin ? "(admin)" : "(anónimo)"), entry.ip || "");
+  store.saveAudit(entry).catch(e => log("[AUDIT] Error:", e.message));
+}
+// Ids de un cambio de marcas, recortados para que una entrada no crezca sin límite
+const auditIds = ids => ids.length > 50 ? [...ids.slice(0, 50), `… +${ids.length - 50}`] : ids;
 
 // ── User-Agent pool ───────────────────────────────────────────────────────────
 const UA_POOL = [
@@ -93,10 +340,12 @@ const UA_POOL = [
 const randUA = () => UA_POOL[Math.floor(Math.random() * UA_POOL.length)];
 
 // ── Cookie de sesión FA ───────────────────────────────────────────────────────
+// `force`: renovarla aunque no haya caducado (FA respondió 403 con la actual)
 let faCookie = "", faCookieTs = 0;
-async function getFACookie() {
-  if (faCookie && Date.now() - faCookieTs < 60 * 60 * 1000) return;
+async function getFACookie(force = false) {
+  if (!force && faCookie && Date.now() - faCookieTs < 60 * 60 * 1000) return;
   try {
+    await hostSlot("https://www.filmaffinity.com/");
     const r = await fetch("https://www.filmaffinity.com/es/main.html", {
       headers: { "User-Agent": randUA(), "Accept-Language": "es-ES,es;q=0.9" }, timeout: 12000,
     });
@@ -107,189 +356,180 @@ async function getFACookie() {
   } catch (e) { log("[FA] Cookie error:", e.message); }
 }
 
+// ── Presupuesto de peticiones por host ───────────────────────────────────────
+// Toda petición a FA (de cualquier job) reserva el siguiente hueco libre del host,
+// separado FA_MIN_INTERVAL (+ jitter) del anterior. Un 429/503 aplaza el host entero,
+// no solo la petición que lo recibió.
+const hostNext = {};
+async function hostSlot(url) {
+  const host = new URL(url).host;
+  const at   = Math.max(Date.now(), hostNext[host] || 0);
+  hostNext[host] = at + FA_MIN_INTERVAL * (1 + Math.random() / 2);
+  if (at > Date.now()) await sleep(at - Date.now());
+}
+function hostBackoff(url, ms) {
+  const host = new URL(url).host;
+  hostNext[host] = Math.max(hostNext[host] || 0, Date.now() + ms);
+}
+// Cabecera Retry-After (segundos o fecha HTTP) → ms, o null
+function retryAfterMs(r) {
+  const h = r.headers.get("retry-after");
+  if (!h) return null;
+  if (/^\d+$/.test(h.trim())) return parseInt(h) * 1000;
+  const t = Date.parse(h);
+  return isNaN(t) ? null : Math.max(0, t - Date.now());
+}
+
 // ── faFetch ───────────────────────────────────────────────────────────────────
-async function faFetch(url) {
+// Errores de FA con `status` HTTP, `retry` (transitorio: merece reintento),
+// `blocked` (403 / Cloudflare: probar con cookie nueva) y `retryAfter` (ms)
+function faError(message, extra = {}) { return Object.assign(new Error(message), extra); }
+
+async function faFetchOnce(url) {
+  if (!isFAUrl(url)) throw faError("URL fuera de FilmAffinity: " + String(url).slice(0, 80));
   await getFACookie();
+  const locale = urlLocale(url);
   const headers = {
     "User-Agent":      randUA(),
     "Accept":          "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
-    "Accept-Language": "es-ES,es;q=0.9",
-    "Referer":         "https://www.filmaffinity.com/es/main.html",
+    "Accept-Language": locale === "es" ? "es-ES,es;q=0.9" : "en-US,en;q=0.9",
+    "Referer":         `https://www.filmaffinity.com/${locale}/main.html`,
     "DNT":             "1",
   };
   if (faCookie) headers["Cookie"] = faCookie;
 
+  await hostSlot(url);
   log("[FA] GET", url.slice(0, 80));
-  const r = await fetch(url, { headers, redirect: "follow", timeout: 20000 });
+  let r;
+  try { r = await fetch(url, { headers, redirect: "follow", timeout: 20000 }); }
+  catch (e) {
+    metric.faRequests.inc({ status: "error" });
+    throw faError(`No se pudo conectar con FilmAffinity (${e.message}).`, { retry: true });
+  }
   log("[FA] →", r.status);
+  metric.faRequests.inc({ status: r.status });
 
-  if (r.status === 429) throw new Error("FilmAffinity ha limitado las peticiones (429). Espera unos minutos.");
-  if (r.status === 403) throw new Error("FilmAffinity ha bloqueado el acceso (403). La IP del servidor puede estar vetada.");
-  if (r.status === 503) throw new Error("FilmAffinity no disponible (503).");
-  if (!r.ok)            throw new Error(`FilmAffinity devolvió HTTP ${r.status}.`);
+  const status = r.status, retryAfter = retryAfterMs(r);
+  if (status === 429) throw faError("FilmAffinity ha limitado las peticiones (429). Espera unos minutos.", { status, retry: true, retryAfter });
+  if (status === 403) throw faError("FilmAffinity ha bloqueado el acceso (403). La IP del servidor puede estar vetada.", { status, blocked: true });
+  if (status === 503) throw faError("FilmAffinity no disponible (503).", { status, retry: true, retryAfter });
+  if (!r.ok)          throw faError(`FilmAffinity devolvió HTTP ${status}.`, { status, retry: status >= 500 });
 
   const html = await r.text();
-  if (!html || html.length < 200) throw new Error("Respuesta vacía de FilmAffinity.");
-  if (html.includes("Just a moment") || html.includes("cf-browser-verification") || html.includes("Checking your browser"))
-    throw new Error("FilmAffinity está protegido por Cloudflare en este momento.");
+  if (!html || html.length < 200) throw faError("Respuesta vacía de FilmAffinity.", { retry: true });
+  if (isChallengePage(html))
+    throw faError("FilmAffinity está protegido por Cloudflare en este momento.", { blocked: true });
 
   return html;
 }
 
-// ── Parser con selectores exhaustivos ────────────────────────────────────────
-function parseListPage(html) {
-  if (typeof html !== "string") return [];
-  const $ = cheerio.load(html);
-  const films = [];
-
-  // Intentar todos los contenedores posibles de FA listas de usuario
-  const containers = [
-    ".user-list-film-item",
-    ".fa-film",
-    ".user-movie-item",
-    ".movie-card",
-    "[class*='list-film']",
-    "[class*='userlist'] li",
-    ".lust-movie-img-wrapper",
-    "[data-movie-id]",
-  ];
-
-  const seenIds = new Set();
-
-  $(containers.join(", ")).each((_, el) => {
-    const $el = $(el);
-
-    // Buscar enlace a ficha
-    const link = $el.find("a").filter((_, a) => {
-      const h = $(a).attr("href") || "";
-      return /\/film\d{5,}\.html/.test(h);
-    }).first();
-
-    if (!link.length) return;
-    const href = link.attr("href") || "";
-    const m = href.match(/\/film(\d{5,})\./);
-    if (!m) return;
-
-    const id = m[1];
-    if (seenIds.has(id)) return;
-    seenIds.add(id);
-
-    // Título: usar el selector más específico disponible.
-    // IMPORTANTE: NO usar link.text() como fallback — en FA el <a> que envuelve
-    // la card suele contener el título repetido en el texto interno.
-    const titleEl =
-      $el.find(".mc-title a").first()    ||
-      $el.find(".mc-title").first()      ||
-      $el.find(".title-mc").first()      ||
-      $el.find(".movie-title").first();
-
-    let title = titleEl.length ? titleEl.text().trim() : "";
-
-    // Si no encontramos nada con selectores específicos, usar el atributo title del enlace
-    // (el atributo title="" es fiable, el .text() del enlace puede tener contenido anidado)
-    if (!title) title = link.attr("title") || "";
-
-    // Limpieza: si el título aparece duplicado (ej "Blue Moon Blue Moon"), corregirlo
-    if (title) {
-      const half = Math.floor(title.length / 2);
-      const firstHalf = title.slice(0, half).trim();
-      const secondHalf = title.slice(half).trim();
-      if (firstHalf && firstHalf === secondHalf) title = firstHalf;
+// faFetchOnce con reintentos: backoff exponencial (o lo que pida Retry-After, hasta
+// 5 min) y, ante un bloqueo, una segunda oportunidad con cookie recién pedida
+async function faFetch(url) {
+  let freshCookie = false;
+  for (let attempt = 0; ; attempt++) {
+    try { return await faFetchOnce(url); }
+    catch (e) {
+      if (e.blocked && !freshCookie) {
+        log("[FA] Bloqueado — renovando cookie");
+        freshCookie = true; attempt--;
+        await getFACookie(true);
+        continue;
+      }
+      if (!e.retry || attempt >= FA_RETRIES || e.retryAfter > 5 * 60 * 1000) throw e;
+      const wait = e.retryAfter ?? Math.min(60000, 2000 * 2 ** attempt) * (1 + Math.random() / 2);
+      log(`[FA] Reintento ${attempt + 1}/${FA_RETRIES} en ${Math.round(wait / 1000)}s:`, e.message);
+      if (e.status === 429 || e.status === 503) hostBackoff(url, wait);
+      else await sleep(wait);
     }
-
-    // Póster
-    const img = $el.find("img").first();
-    let poster = img.attr("src") || img.attr("data-src") || img.attr("data-lazy-src") || null;
-    if (poster && poster.startsWith("//")) poster = "https:" + poster;
-
-    // Nota media
-    const ratTxt = $el.find(".avgrat-box, .rat-avg, [class*='avgrat'], [class*='avg-rat'], .mr-avg").first()
-                      .text().trim().replace(",", ".");
-    const rating = parseFloat(ratTxt) || null;
-
-    // Año
-    const yearTxt = $el.find("[class*='year'], .mc-year, .year").first().text().trim();
-    const year = parseInt(yearTxt) || null;
-
-    // Tipo
-    const cardText = $el.text().toLowerCase();
-    const type = (cardText.includes("serie de tv") || cardText.includes("miniserie") ||
-                  $el.find("[class*='serie'], [class*='tv']").length > 0) ? "series" : "movie";
-
-    films.push({ id, title, poster, rating, year, type,
-      filmaffinity_url: `https://www.filmaffinity.com/es/film${id}.html` });
-  });
-
-  log("[PARSE] Selector principal:", films.length, "films");
-
-  // Fallback: buscar cualquier enlace /es/filmXXXXX.html con imagen cercana
-  if (films.length === 0) {
-    const seen = new Set();
-    $("a[href*='/es/film']").each((_, el) => {
-      const href = $(el).attr("href") || "";
-      const m = href.match(/\/film(\d{5,})\./);
-      if (!m || seen.has(m[1])) return;
-      seen.add(m[1]);
-
-      const $a = $(el);
-      const $parent = $a.parent();
-      const img = $a.find("img").first().length ? $a.find("img").first() : $parent.find("img").first();
-      let poster = img.attr("src") || img.attr("data-src") || null;
-      if (poster && poster.startsWith("//")) poster = "https:" + poster;
-
-      const title = $a.attr("title") || $a.text().trim() || null;
-
-      films.push({
-        id: m[1], title, poster,
-        rating: null, year: null, type: "movie",
-        filmaffinity_url: `https://www.filmaffinity.com/es/film${m[1]}.html`,
-      });
-    });
-    log("[PARSE] Fallback:", films.length, "films");
   }
+}
+
+// ── Fuentes FA ────────────────────────────────────────────────────────────────
+// Cada tipo de página (detectSource) tiene su parser y su forma de paginar:
+//   userlist    — /es/userlist.php?user_id=…&list_id=…   (?page=N)
+//   userratings — /es/userratings.php?user_id=…          (?p=N) + nota y fecha del usuario
+//   top         — /es/topgen.php?…, /es/ranking.php?…    (?from=30·(N-1)), en orden de ranking
+const withParam = (url, name, value) => url.replace(new RegExp(`([?&])${name}=[^&]*&?`), "$1").replace(/[?&]$/, "") +
+  (url.includes("?") ? "&" : "?") + `${name}=${value}`;
+
+const FA_SOURCES = {
+  userlist: {
+    parse:      parseListPage,
+    totalPages: parseTotalPages,
+    pageUrl:    (url, n) => withParam(url, "page", n),
+    reverse:    true,   // FA lista de más antiguo a más reciente
+  },
+  userratings: {
+    parse:      parseRatingsPage,
+    totalPages: parseTotalPages,
+    pageUrl:    (url, n) => withParam(url, "p", n),
+    reverse:    false,  // ya viene de más reciente a más antiguo
+  },
+  top: {
+    parse:      parseTopPage,
+    totalPages: () => 10, // paginación por "from": se para al llegar a una página vacía
+    pageUrl:    (url, n) => withParam(url, "from", (n - 1) * 30),
+    reverse:    false,
+  },
+};
 
-  // Deduplicar por ID como última salvaguarda
-  const unique = [];
-  const finalSeen = new Set();
-  for (const f of films) {
-    if (!finalSeen.has(f.id)) { finalSeen.add(f.id); unique.push(f); }
+// ── Diff entre versiones de una lista ─────────────────────────────────────────
+function slimFilm(f) { return { id: f.id, title: f.title, rating: f.rating ?? null }; }
+
+// Títulos añadidos, eliminados y con nota cambiada entre dos arrays de films
+function diffFilms(prev, next) {
+  const before = new Map((prev || []).map(f => [f.id, f]));
+  const after  = new Map((next || []).map(f => [f.id, f]));
+  const added   = (next || []).filter(f => !before.has(f.id)).map(slimFilm);
+  const removed = (prev || []).filter(f => !after.has(f.id)).map(slimFilm);
+  const changed = [];
+  for (const f of next || []) {
+    const old = before.get(f.id);
+    if (old && old.rating != null && f.rating != null && old.rating !== f.rating)
+      changed.push({ id: f.id, title: f.title, from: old.rating, to: f.rating });
   }
-  log("[PARSE] Final únicos:", unique.length);
-  return unique;
+  return { added, removed, changed };
 }
 
-function parseTotalPages(html) {
-  if (typeof html !== "string") return 1;
-  const $ = cheerio.load(html);
-  let max = 1;
-  // Selectores específicos de paginación — evitar [class*='page'] que captura años/IDs
-  $(".pager a, .pagination a, [class*='pager'] a, nav a").each((_, el) => {
-    const n = parseInt($(el).text().trim());
-    // Solo números razonables de página (1-99)
-    if (!isNaN(n) && n > max && n <= 99) max = n;
-  });
-  return max;
+// Ficha FA de un film: caché en DB (dura más que TMDB: estos datos casi no cambian).
+// `stats` (opcional) acumula { hits, misses } como en tmdbEnrich.
+async function faDetails(film, stats) {
+  const doc = await store.getDetails(film.id).catch(() => null);
+  const hit = !!doc && Date.now() - doc.ts < FA_DETAILS_TTL;
+  metric.cache.inc({ cache: "fa_details", result: hit ? "hit" : "miss" });
+  if (hit) { if (stats) stats.hits++; return doc.data; }
+  if (stats) stats.misses++;
+  const html = await faFetch(film.filmaffinity_url || `https://www.filmaffinity.com/es/film${film.id}.html`);
+  const data = parseFilmPage(html);
+  log(`[PARSE] Ficha ${film.id}:`, Object.keys(data).join(", ") || "sin datos");
+  await store.saveDetails(film.id, data);
+  return data;
 }
 
 // ── TMDB helpers ──────────────────────────────────────────────────────────────
-function normalizeTitle(s) {
-  return (s || "").toLowerCase()
-    .normalize("NFD").replace(/[\u0300-\u036f]/g, "")  // quitar acentos
-    .replace(/[^\w\s]/g, "").replace(/\s+/g, " ").trim();
+// Puntuación de la coincidencia de título entre TMDB y FA (ya normalizados)
+function titleScore(tmdbT, faT) {
+  if (tmdbT === faT)                         return 100; // exacta → máxima prioridad
+  if (tmdbT.startsWith(faT + " ") ||
+      tmdbT.endsWith(" " + faT))             return  30; // FA es prefijo/sufijo
+  if (tmdbT.includes(faT))                   return  10; // FA está contenido
+  return -60;                                            // no coincide → descartar
 }
 
-// Puntuación para elegir el mejor resultado TMDB dado un título y año de FA
-function scoreMatch(result, faTitle, faYear) {
+// Puntuación para elegir el mejor resultado TMDB dado un título y año de FA.
+// Si se conoce el título original (ficha FA) se compara también con él.
+function scoreMatch(result, faTitle, faYear, faOriginal) {
   const tmdbT = normalizeTitle(result.title || result.name || "");
   const faT   = normalizeTitle(faTitle);
-  let score   = 0;
 
   // Coincidencia de título
-  if (tmdbT === faT)                         score += 100; // exacta → máxima prioridad
-  else if (tmdbT.startsWith(faT + " ") ||
-           tmdbT.endsWith(" " + faT))        score +=  30; // FA es prefijo/sufijo
-  else if (tmdbT.includes(faT))             score +=  10; // FA está contenido
-  else                                       score -=  60; // no coincide → descartar
+  let score = titleScore(tmdbT, faT);
+  if (faOriginal) {
+    const tmdbO = normalizeTitle(result.original_title || result.original_name || "");
+    const faO   = normalizeTitle(faOriginal);
+    if (faO) score = Math.max(score, titleScore(tmdbO, faO), titleScore(tmdbT, faO));
+  }
 
   // Coincidencia de año (±1 por diferencias de fecha de estreno entre países)
   if (faYear) {
@@ -302,26 +542,55 @@ function scoreMatch(result, faTitle, faYear) {
   return score;
 }
 
+// Campos que aporta TMDB a un film (se descartan al cambiar de coincidencia)
+// (`lang`: idioma en que se pidieron a TMDB)
+const TMDB_FIELDS = ["synopsis", "duration", "genres", "country", "country_code", "tmdb_id", "imdb_id", "providers", "lang", "_pinned"];
+
 // ── TMDB enrich ───────────────────────────────────────────────────────────────
-async function tmdbEnrich(film) {
-  if (!TMDB_KEY) return { _tmdb_error: "no_key" };
-  const cacheKey = "tmdb_" + film.id;
-  if (tmdbCache[cacheKey] && Date.now() - tmdbCache[cacheKey].ts < 7 * 24 * 60 * 60 * 1000)
+// Los datos se guardan por idioma: con el idioma por defecto bajo el id de FA (como
+// siempre), con otro bajo "id:idioma". La coincidencia fijada a mano (pin) va siempre
+// en el documento del id de FA y vale para todos los idiomas.
+const tmdbKey = (faId, lang) => lang === DEFAULT_LOCALE ? faId : `${faId}:${lang}`;
+
+// Datos TMDB ya guardados y dentro del TTL (memoria → DB), o null si hay que consultar
+async function tmdbCached(faId, lang) {
+  const cacheKey = "tmdb_" + tmdbKey(faId, lang);
+  if (tmdbCache[cacheKey] && Date.now() - tmdbCache[cacheKey].ts < TMDB_TTL)
     return tmdbCache[cacheKey].data;
+  const doc = await store.getTmdb(tmdbKey(faId, lang)).catch(() => null);
+  // Plataformas guardadas para otro país (cambió TMDB_REGION): volver a consultar
+  if (doc?.data?.providers && doc.data.providers.region !== TMDB_REGION) return null;
+  // Guardados antes de haber idiomas (sin `lang`): eran del idioma por defecto
+  if (doc?.data && (doc.data.lang || DEFAULT_LOCALE) !== lang) return null;
+  if (doc && doc.data && Date.now() - doc.ts < TMDB_TTL) {
+    tmdbCache[cacheKey] = { data: doc.data, ts: doc.ts };
+    return doc.data;
+  }
+  return null;
+}
 
-  try {
-    const q = encodeURIComponent(film.title || "");
-
-    // Buscar SIN filtro de año para tener todos los candidatos disponibles,
-    // luego elegir el mejor por puntuación (título exacto + año)
+// Busca en TMDB (películas y series) y devuelve los candidatos puntuados, mejor primero.
+// `query` permite buscar por un título distinto al de FA (p. ej. el original).
+async function tmdbSearch(film, query, lang = DEFAULT_LOCALE) {
+  // Con ficha FA se busca también por el título original (títulos traducidos)
+  const queries = query ? [query] : [film.title || ""];
+  if (!query && film.original_title && normalizeTitle(film.original_title) !== normalizeTitle(film.title))
+    queries.push(film.original_title);
+
+  // Buscar SIN filtro de año para tener todos los candidatos disponibles,
+  // luego elegir el mejor por puntuación (título exacto + año)
+  const candidates = [];
+  const seen = new Set();
+  for (const text of queries) {
+    const q = encodeURIComponent(text);
     const [mr, tr] = await Promise.all([
-      fetch(`https://api.themoviedb.org/3/search/movie?api_key=${TMDB_KEY}&query=${q}&language=es-ES`, { timeout: 8000 }),
-      fetch(`https://api.themoviedb.org/3/search/tv?api_key=${TMDB_KEY}&query=${q}&language=es-ES`,    { timeout: 8000 }),
+      fetch(`${TMDB_API}/search/movie?api_key=${TMDB_KEY}&query=${q}&language=${TMDB_LANGUAGES[lang]}`, { timeout: 8000 }),
+      fetch(`${TMDB_API}/search/tv?api_key=${TMDB_KEY}&query=${q}&language=${TMDB_LANGUAGES[lang]}`,    { timeout: 8000 }),
     ]);
 
     if (mr.status === 401 || tr.status === 401) {
       log("[TMDB] API key inválida");
-      return { _tmdb_error: "invalid_key" };
+      return { error: "invalid_key", candidates: [] };
     }
 
     const [md, td] = await Promise.all([
@@ -329,52 +598,129 @@ async function tmdbEnrich(film) {
       tr.ok ? tr.json() : { results: [] },
     ]);
 
-    // Puntuar candidatos (máx 5 de cada tipo)
-    const candidates = [];
-    for (const r of (md.results || []).slice(0, 5))
-      candidates.push({ r, mediaType: "movie",  score: scoreMatch(r, film.title, film.year) });
-    for (const r of (td.results || []).slice(0, 5))
-      candidates.push({ r, mediaType: "series", score: scoreMatch(r, film.title, film.year) });
+    // Puntuar candidatos (máx 5 de cada tipo por búsqueda)
+    const found = [
+      ...(md.results || []).slice(0, 5).map(r => ({ r, mediaType: "movie" })),
+      ...(td.results || []).slice(0, 5).map(r => ({ r, mediaType: "series" })),
+    ];
+    for (const { r, mediaType } of found) {
+      if (seen.has(mediaType + r.id)) continue;
+      seen.add(mediaType + r.id);
+      candidates.push({ r, mediaType, score: scoreMatch(r, film.title, film.year, film.original_title) });
+    }
+  }
 
-    // Bonus leve si el tipo coincide con lo que vino de FA
-    for (const c of candidates)
-      if (c.mediaType === (film.type === "series" ? "series" : "movie")) c.score += 10;
+  // Bonus leve si el tipo coincide con lo que vino de FA
+  for (const c of candidates)
+    if (c.mediaType === (film.type === "series" ? "series" : "movie")) c.score += 10;
 
+  // Con director conocido (ficha FA), confirmarlo en los mejores candidatos
+  if (film.directors?.length) {
     candidates.sort((a, b) => b.score - a.score);
+    const wanted = film.directors.map(normalizeTitle);
+    for (const c of candidates.slice(0, 3)) {
+      const dirs = await tmdbDirectors(c.r.id, c.mediaType).catch(() => []);
+      if (dirs.some(d => wanted.includes(normalizeTitle(d)))) c.score += 40;
+    }
+  }
+
+  candidates.sort((a, b) => b.score - a.score);
+  return { candidates };
+}
+
+// Directores (o creadores, en series) de un título TMDB
+async function tmdbDirectors(tmdbId, mediaType) {
+  const base = mediaType === "series" ? "tv" : "movie";
+  const r = await fetch(`${TMDB_API}/${base}/${tmdbId}/credits?api_key=${TMDB_KEY}`, { timeout: 8000 });
+  if (!r.ok) return [];
+  const d = await r.json();
+  return (d.crew || []).filter(c => c.job === "Director" || c.job === "Creator").map(c => c.name);
+}
+
+// Plataformas de un título en TMDB_REGION (datos de JustWatch vía TMDB):
+// { region, link, stream, rent, buy }, cada lista de { id, name, logo }
+function tmdbProviders(wp) {
+  const r = wp?.results?.[TMDB_REGION];
+  if (!r) return null;
+  const list = items => (items || []).map(p => ({
+    id: p.provider_id, name: p.provider_name,
+    logo: p.logo_path ? `https://image.tmdb.org/t/p/w92${p.logo_path}` : null,
+  }));
+  return { region: TMDB_REGION, link: r.link || null,
+           stream: list([...(r.flatrate || []), ...(r.free || []), ...(r.ads || [])]), rent: list(r.rent), buy: list(r.buy) };
+}
+
+// Ficha TMDB de un id concreto → campos que se mezclan en el film
+// (external_ids y watch/providers vienen en la misma petición)
+async function tmdbDetails(tmdbId, mediaType, result = {}, lang = DEFAULT_LOCALE) {
+  const detailUrl = `${TMDB_API}/${mediaType === "series" ? "tv" : "movie"}/${tmdbId}` +
+    `?api_key=${TMDB_KEY}&language=${TMDB_LANGUAGES[lang]}&append_to_response=external_ids,watch/providers`;
+
+  const dr = await fetch(detailUrl, { timeout: 8000 });
+  // Sin ficha ni resultado de búsqueda del que tirar no hay nada que guardar
+  if (!dr.ok && !result.id) throw Object.assign(new Error(`TMDB respondió ${dr.status} para ${mediaType}/${tmdbId}`), { status: dr.status });
+  const detail = dr.ok ? await dr.json() : result;
+
+  const synopsis    = detail.overview || result.overview || null;
+  const duration    = mediaType === "series" ? (detail.episode_run_time?.[0] || null) : (detail.runtime || null);
+  const posterPath  = detail.poster_path || result.poster_path || null;
+  const poster      = posterPath ? `https://image.tmdb.org/t/p/w500${posterPath}` : null;
+  const genres      = (detail.genres || []).map(g => g.name).filter(Boolean);
+
+  // País de origen (primero de la lista), con su nombre en el idioma pedido
+  const originCodes = detail.origin_country || detail.production_countries?.map(c => c.iso_3166_1) || [];
+  const countryCode = originCodes[0] || null;
+  const country     = countryCode ? countryName(countryCode, lang) : null;
+
+  const imdbId      = detail.external_ids?.imdb_id || detail.imdb_id || null;
+  const providers   = tmdbProviders(detail["watch/providers"]) || { region: TMDB_REGION, link: null, stream: [], rent: [], buy: [] };
+
+  return { synopsis, duration, type: mediaType, genres, tmdb_id: Number(tmdbId), ...(imdbId ? { imdb_id: imdbId } : {}), providers,
+           ...(poster ? { poster } : {}), ...(country ? { country, country_code: countryCode } : {}), lang };
+}
+
+// `stats` (opcional) acumula aciertos/fallos de caché: { hits, misses }.
+// Con `film.tmdb_id` (ya enriquecido en otro idioma) se va directo a esa ficha.
+async function tmdbEnrich(film, stats, lang = DEFAULT_LOCALE) {
+  if (!TMDB_KEY) return { _tmdb_error: "no_key" };
+  const key      = tmdbKey(film.id, lang);
+  const cacheKey = "tmdb_" + key;
+  const cached   = await tmdbCached(film.id, lang);
+  metric.cache.inc({ cache: "tmdb", result: cached ? "hit" : "miss" });
+  if (cached) { if (stats) stats.hits++; return cached; }
+  if (stats) stats.misses++;
+
+  try {
+    // Coincidencia fijada a mano (o ya conocida): no buscar, ir directo a la ficha
+    const pin   = (await store.getTmdb(film.id).catch(() => null))?.pin;
+    const known = pin || (film.tmdb_id ? { tmdbId: film.tmdb_id, mediaType: film.type === "series" ? "series" : "movie" } : null);
+    if (known) {
+      const data = { ...await tmdbDetails(known.tmdbId, known.mediaType, {}, lang), ...(pin ? { _pinned: true } : {}) };
+      log(`[TMDB] "${film.title}" → ${pin ? "fijado" : "conocido"} ${known.mediaType}/${known.tmdbId} (${lang})`);
+      tmdbCache[cacheKey] = { data, ts: Date.now() };
+      await store.saveTmdb(key, data);
+      return data;
+    }
+
+    const { error, candidates } = await tmdbSearch(film, null, lang);
+    if (error) { metric.tmdbMatches.inc({ result: "error" }); return { _tmdb_error: error }; }
     const best = candidates[0];
+    if (best) metric.tmdbScore.observe({}, best.score);
+    metric.tmdbMatches.inc({ result: !best ? "no_results" : best.score < 40 ? "rejected" : "matched" });
 
     log(`[TMDB] "${film.title}" (${film.year}) → "${best?.r?.title || best?.r?.name || "-"}" score=${best?.score ?? "n/a"}`);
 
     // Rechazar si no hay coincidencia mínima fiable
     if (!best || best.score < 40) {
       log(`[TMDB] Sin coincidencia válida para "${film.title}" (${film.year})`);
-      tmdbCache[cacheKey] = { data: {}, ts: Date.now() };
-      await dbSaveTmdb(film.id, {});
-      return {};
+      tmdbCache[cacheKey] = { data: { lang }, ts: Date.now() };
+      await store.saveTmdb(key, { lang });
+      return { lang };
     }
 
-    const { r: result, mediaType } = best;
-
-    const detailUrl = mediaType === "series"
-      ? `https://api.themoviedb.org/3/tv/${result.id}?api_key=${TMDB_KEY}&language=es-ES`
-      : `https://api.themoviedb.org/3/movie/${result.id}?api_key=${TMDB_KEY}&language=es-ES`;
-
-    const dr     = await fetch(detailUrl, { timeout: 8000 });
-    const detail = dr.ok ? await dr.json() : result;
-
-    const synopsis    = detail.overview || result.overview || null;
-    const duration    = mediaType === "series" ? (detail.episode_run_time?.[0] || null) : (detail.runtime || null);
-    const posterPath  = detail.poster_path || result.poster_path || null;
-    const poster      = posterPath ? `https://image.tmdb.org/t/p/w500${posterPath}` : null;
-    const genres      = (detail.genres || []).map(g => g.name).filter(Boolean);
-
-    // País de origen (primero de la lista, traducido si es posible)
-    const originCodes = detail.origin_country || detail.production_countries?.map(c => c.iso_3166_1) || [];
-    const country     = originCodes.length > 0 ? isoToSpanish(originCodes[0]) : null;
-
-    const data = { synopsis, duration, type: mediaType, genres, ...(poster ? { poster } : {}), ...(country ? { country } : {}) };
+    const data = await tmdbDetails(best.r.id, best.mediaType, best.r, lang);
     tmdbCache[cacheKey] = { data, ts: Date.now() };
-    await dbSaveTmdb(film.id, data);
+    await store.saveTmdb(key, data);
     return data;
   } catch (e) {
     log("[TMDB] error:", film.title, e.message);
@@ -382,23 +728,127 @@ async function tmdbEnrich(film) {
   }
 }
 
+// Fija (o con tmdbId null, libera) la coincidencia TMDB de un film de FA. Los datos
+// guardados en los demás idiomas se invalidan para que se rehagan con la nueva.
+async function tmdbPin(faId, tmdbId, mediaType, lang = DEFAULT_LOCALE) {
+  // La ficha nueva primero: si TMDB falla o el id no existe se conserva el fijado anterior
+  const data = tmdbId ? { ...await tmdbDetails(tmdbId, mediaType, {}, lang), _pinned: true } : null;
+  for (const l of Object.keys(TMDB_LANGUAGES)) {
+    delete tmdbCache["tmdb_" + tmdbKey(faId, l)];
+    await store.saveTmdbPin(tmdbKey(faId, l), null);
+  }
+  if (!data) return null;
+  await store.saveTmdbPin(faId, { tmdbId, mediaType });
+  await store.saveTmdb(tmdbKey(faId, lang), data);
+  tmdbCache["tmdb_" + tmdbKey(faId, lang)] = { data, ts: Date.now() };
+  log(`[TMDB] Fijado ${faId} → ${mediaType}/${tmdbId}`);
+  return data;
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // RUTAS API
 // ─────────────────────────────────────────────────────────────────────────────
 
-app.get("/api/debug-url", (req, res) => {
+app.get("/api/debug-url", limits.admin, requireAdmin, (req, res) => {
   const { url } = req.query;
   const raw = url || "";
   const decoded = decodeListUrl(raw);
   const key = decoded ? makeKey(decoded) : null;
-  res.json({ raw, decoded, key });
+  res.json({ raw, decoded, key, source: decoded ? detectSource(decoded) : null });
 });
 
 app.get("/api/config", (req, res) => {
-  res.json({ tmdb: !!TMDB_KEY, db: !!db });
+  res.json({ tmdb: !!TMDB_KEY, region: TMDB_REGION, db: store.persistent, storage: store.type });
+});
+
+// ── Salud y métricas ──────────────────────────────────────────────────────────
+// /healthz: el proceso responde. /readyz: además el almacenamiento contesta, y es el
+// que se pidió (con MONGODB_URI, un fallback a memoria no cuenta como listo).
+app.get("/healthz", (req, res) => res.json({ status: "ok", uptime: Math.round(process.uptime()) }));
+
+app.get("/readyz", async (req, res) => {
+  const expected = storageType({ type: STORAGE, uri: MONGODB_URI, file: DATA_FILE });
+  try {
+    if (!store) throw new Error("Almacenamiento sin iniciar");
+    if (store.type !== expected) throw new Error(`Almacenamiento ${expected} no disponible (usando ${store.name})`);
+    await Promise.race([store.ping(), sleep(3000).then(() => { throw new Error("El almacenamiento no responde"); })]);
+    res.json({ status: "ready", storage: store.name });
+  } catch (e) {
+    log("[HEALTH] No listo:", e.message);
+    res.status(503).json({ status: "unavailable", storage: store?.name || null, error: e.message });
+  }
 });
 
+app.get("/metrics", (req, res) => {
+  const m = (req.headers.authorization || "").match(/^Bearer\s+(.+)$/i);
+  const ok = !METRICS_TOKEN || (!!m && m[1].length === METRICS_TOKEN.length
+    && crypto.timingSafeEqual(Buffer.from(m[1]), Buffer.from(METRICS_TOKEN)));
+  if (!ok) return res.status(401).json({ error: "No autenticado" });
+  res.type("text/plain; version=0.0.4").send(metrics.render());
+});
+
+// Filtros y orden sobre los films de una lista, con los mismos parámetros que el
+// frontend guarda en su URL:
+//   type=movies|series  q=texto  min=nota  genres=A,B  gmode=and|or (por defecto or)
+//   year=1990-1999  dur=60-120  (extremos opcionales: "1990-", "-120")  country=ES (código ISO)
+//   provider=Netflix,Filmin  (disponible en streaming en alguna de ellas, en TMDB_REGION)
+//   sort=[-]rating|year|duration|title|added  ("-" = descendente)
+const SORT_FIELDS = ["rating", "year", "duration", "title", "added"];
+function parseRange(v) {
+  const m = /^(\d*)-(\d*)$/.exec(v || "");
+  if (!m) return /^\d+$/.test(v || "") ? [+v, +v] : null;
+  return m[1] || m[2] ? [m[1] ? +m[1] : null, m[2] ? +m[2] : null] : null;
+}
+function inRange(v, range) {
+  if (!range) return true;
+  const [min, max] = range;
+  return v != null && (min == null || v >= min) && (max == null || v <= max);
+}
+// Un parámetro repetido (?sort=a&sort=b) llega como array: vale el primero
+const firstParam = v => String([].concat(v)[0] ?? "");
+function queryFilms(films, rawQuery) {
+  const query  = Object.fromEntries(Object.entries(rawQuery).map(([k, v]) => [k, firstParam(v)]));
+  const q      = (query.q || "").toLowerCase().trim();
+  const min    = parseFloat(query.min) || 0;
+  const genres = (query.genres || "").split(",").map(g => g.trim()).filter(Boolean);
+  const year   = parseRange(query.year), dur = parseRange(query.dur);
+  const provs  = (query.provider || "").split(",").map(p => p.trim()).filter(Boolean);
+  let out = films.filter(f => {
+    if (query.type === "movies" && f.type === "series") return false;
+    if (query.type === "series" && f.type !== "series") return false;
+    if (min > 0 && (f.rating == null || f.rating < min)) return false;
+    if (genres.length) {
+      const fg = f.genres || [];
+      if (query.gmode === "and" ? !genres.every(g => fg.includes(g)) : !genres.some(g => fg.includes(g))) return false;
+    }
+    if (!inRange(f.year, year) || !inRange(f.duration, dur)) return false;
+    // El nombre del país depende del idioma de la lista; el código no. Los films enriquecidos
+    // antes de guardar country_code solo tienen el nombre.
+    if (query.country && (f.country_code ? f.country_code !== query.country.toUpperCase() : f.country !== query.country)) return false;
+    if (provs.length && !(f.providers?.stream || []).some(p => provs.includes(p.name))) return false;
+    if (q && !(f.title || "").toLowerCase().includes(q)) return false;
+    return true;
+  });
+  const field = (query.sort || "").replace(/^-/, "");
+  if (SORT_FIELDS.includes(field)) {
+    // Orden estable; sin el dato, al final. "added": las listas se guardan de más reciente
+    // a más antiguo (userlists invertidas, votaciones e importaciones por fecha), así que
+    // cuanto antes en la lista, más reciente
+    const desc = query.sort.startsWith("-");
+    const pos  = new Map(films.map((f, i) => [f, i]));
+    const val  = f => field === "added" ? -pos.get(f) : f[field];
+    out = out.map((f, i) => [f, val(f), i]).sort(([, a, i], [, b, j]) => {
+      if (a == null || b == null) return (a == null) - (b == null) || i - j;
+      const c = field === "title" ? String(a).localeCompare(String(b), "es") : a < b ? -1 : a > b ? 1 : 0;
+      return (desc ? -c : c) || i - j;
+    }).map(([f]) => f);
+  }
+  return out;
+}
+const FILM_QUERY = ["type", "q", "min", "genres", "year", "dur", "country", "provider", "sort"];
+
 // GET /api/list — devuelve caché de DB. NUNCA va a FA solo.
+// Con parámetros de filtro/orden (ver queryFilms) devuelve solo esos films y `total`.
 app.get("/api/list", async (req, res) => {
   const { url } = req.query;
   if (!url) return res.status(400).json({ error: "Falta url" });
@@ -406,32 +856,86 @@ app.get("/api/list", async (req, res) => {
   if (!listUrl) return res.status(400).json({ error: "URL inválida" });
 
   const key = makeKey(listUrl);
-  const hit = await dbGetList(key);
+  const hit = await store.getList(key);
   if (hit) {
     log("[CACHE] Hit", key, hit.films.length, "films");
-    return res.json({ films: hit.films, cached: true, ts: hit.ts });
+    const filtered = FILM_QUERY.some(p => req.query[p]);
+    return res.json({
+      films: filtered ? queryFilms(hit.films, req.query) : hit.films,
+      ...(filtered ? { total: hit.films.length } : {}),
+      cached: true, ts: hit.ts, failedPages: hit.failedPages || [],
+    });
+  }
+  // Combinada aún sin guardar: se calcula al vuelo con lo que haya de sus listas
+  if (isMergeUrl(listUrl)) {
+    const { films } = await combineLists(mergeSources(listUrl));
+    if (films.length) return res.json({ films, cached: false, ts: null, virtual: true });
   }
   log("[CACHE] Miss", key);
   return res.json({ films: [], cached: false, ts: null, empty: true });
 });
 
-// POST /api/restore — el cliente restaura su localStorage al servidor
-app.post("/api/restore", async (req, res) => {
-  const { url, films, ts } = req.body;
-  if (!url || !Array.isArray(films)) return res.status(400).json({ error: "Datos inválidos" });
+// GET /api/list/history — versiones guardadas (sin films, solo resumen del diff)
+app.get("/api/list/history", async (req, res) => {
+  const { url } = req.query;
+  if (!url) return res.status(400).json({ error: "Falta url" });
+  const listUrl = decodeListUrl(url);
+  if (!listUrl) return res.status(400).json({ error: "URL inválida" });
+
+  const history = await store.getHistory(makeKey(listUrl));
+  res.json({
+    history: history.map(h => ({
+      ts:      h.ts,
+      count:   h.films.length,
+      added:   h.diff?.added.length   ?? null,
+      removed: h.diff?.removed.length ?? null,
+      changed: h.diff?.changed.length ?? null,
+    })),
+  });
+});
+
+// GET /api/list/diff — diff de la última versión, o entre ?from=ts&to=ts
+app.get("/api/list/diff", async (req, res) => {
+  const { url } = req.query;
+  if (!url) return res.status(400).json({ error: "Falta url" });
+  const listUrl = decodeListUrl(url);
+  if (!listUrl) return res.status(400).json({ error: "URL inválida" });
+
+  const history = await store.getHistory(makeKey(listUrl));
+  if (!history.length) return res.json({ from: null, to: null, added: [], removed: [], changed: [] });
+
+  const from = parseInt(req.query.from) || null;
+  const to   = parseInt(req.query.to)   || null;
+  if (!from && !to) {
+    const [last, prev] = history;
+    const diff = last.diff || { added: [], removed: [], changed: [] };
+    return res.json({ from: prev?.ts || null, to: last.ts, ...diff });
+  }
+
+  const snapTo   = to   ? history.find(h => h.ts === to)   : history[0];
+  const snapFrom = from ? history.find(h => h.ts === from) : history[history.indexOf(snapTo) + 1];
+  if (!snapTo || !snapFrom) return res.status(404).json({ error: "Versión no encontrada" });
+  res.json({ from: snapFrom.ts, to: snapTo.ts, ...diffFilms(snapFrom.films, snapTo.films) });
+});
+
+// POST /api/restore (admin) — restaura una copia de la lista (p. ej. el localStorage de
+// un cliente) si el servidor no la tiene
+app.post("/api/restore", limits.write, requireAdmin, validBody(SCHEMAS.restore), async (req, res) => {
+  const { url, films } = req.body;
   const listUrl = decodeListUrl(url);
   if (!listUrl) return res.status(400).json({ error: "URL inválida" });
   const key = makeKey(listUrl);
-  const existing = await dbGetList(key);
+  const existing = await store.getList(key);
   if (!existing) {
-    await dbSaveList(key, films, listUrl);
+    await store.saveList(key, films, listUrl);
     log("[RESTORE]", films.length, "films para", key);
+    audit(req, "list.restore", key, { films: films.length });
   }
-  res.json({ ok: true });
+  res.json({ ok: true, restored: !existing });
 });
 
 // POST /api/refresh — lanza job asíncrono
-app.post("/api/refresh", (req, res) => {
+app.post("/api/refresh", limits.refresh, requireRole(REFRESH_ROLE), async (req, res) => {
   const { url } = req.query;
   if (!url) return res.status(400).json({ error: "Falta url" });
   const listUrl = decodeListUrl(url);
@@ -439,11 +943,49 @@ app.post("/api/refresh", (req, res) => {
 
   const key = makeKey(listUrl);
   if (jobs[key] && jobs[key].status === "running")
-    return res.json({ status: "running", message: "Ya hay una descarga en curso" });
-
-  jobs[key] = { status: "running", progress: "Conectando con FilmAffinity…", error: null };
+    return res.json({ status: "running", message: "Ya hay una descarga en curso", jobId: jobs[key].id });
+
+  // Las listas importadas no tienen origen en FA: "actualizar" solo vuelve a enriquecer
+  const lang = await listLang(key, listUrl, req.query.lang);
+  if (isImportUrl(listUrl)) {
+    const list = await store.getList(key);
+    if (!list) return res.status(404).json({ error: "Lista importada no encontrada" });
+    jobs[key] = newImportJob(key, listUrl, list.films, lang);
+  } else {
+    jobs[key] = newJob(key, listUrl, lang);
+  }
+  await dbSaveJob(jobs[key]);
+  audit(req, "list.refresh", key, { url: listUrl, jobId: jobs[key].id });
   runRefreshJob(key, listUrl);
-  res.json({ status: "started" });
+  res.json({ status: "started", jobId: jobs[key].id });
+});
+
+// POST /api/import — CSV de Letterboxd o IMDb (texto plano, o JSON { csv }) → lista nueva,
+// enriquecida con TMDB en un job como los de refresco. Devuelve la url de la lista.
+app.post("/api/import", limits.refresh, requireRole(REFRESH_ROLE), express.text({ type: ["text/csv", "text/plain"], limit: "20mb" }), async (req, res) => {
+  const csv = typeof req.body === "string" ? req.body : req.body?.csv;
+  if (typeof csv !== "string" || !csv.trim()) return res.status(400).json({ error: "Falta el CSV" });
+
+  const rows   = parseCSV(csv.replace(/^\uFEFF/, ""));
+  const format = detectImportFormat(rows[0] || []);
+  if (!format) return res.status(400).json({ error: "Formato no reconocido (se admite CSV de Letterboxd o IMDb)" });
+
+  const films = importRows(format, rows);
+  if (!films.length) return res.status(400).json({ error: "El CSV no contiene títulos" });
+
+  const hash    = crypto.createHash("sha1").update(csv).digest("hex").slice(0, 12);
+  const listUrl = `import:${format}/${hash}`;
+  const key     = makeKey(listUrl);
+  log("[IMPORT]", format, films.length, "films →", key);
+
+  if (!(jobs[key] && jobs[key].status === "running")) {
+    await store.saveList(key, films, listUrl);
+    jobs[key] = newImportJob(key, listUrl, films, req.locale);
+    await dbSaveJob(jobs[key]);
+    audit(req, "list.import", key, { format, films: films.length, jobId: jobs[key].id });
+    runRefreshJob(key, listUrl);
+  }
+  res.json({ status: "started", jobId: jobs[key].id, url: listUrl, key, format, count: films.length });
 });
 
 // GET /api/refresh-status
@@ -453,69 +995,506 @@ app.get("/api/refresh-status", async (req, res) => {
   const listUrl = decodeListUrl(url);
   if (!listUrl) return res.status(400).json({ error: "URL inválida" });
   const key = makeKey(listUrl);
-  const job = jobs[key];
+  const job = jobs[key] || await store.getJob(key);
 
   if (!job) {
-    const cached = await dbGetList(key);
-    if (cached) return res.json({ status: "done", films: cached.films, ts: cached.ts });
+    const cached = await store.getList(key);
+    if (cached) return res.json({ status: "done", films: cached.films, ts: cached.ts, failedPages: cached.failedPages || [] });
     return res.json({ status: "idle" });
   }
-  if (job.status === "running") return res.json({ status: "running", progress: job.progress });
-  if (job.status === "error")   return res.json({ status: "error",   error: job.error });
-  if (job.status === "done") {
-    const cached = await dbGetList(key);
+  if (job.status === "running") return res.json(jobProgress(job));
+  if (job.status === "error")   return res.json({ status: "error",   error: job.error, jobId: job.id });
+  // "partial": terminado, pero con páginas que no se pudieron descargar
+  if (job.status === "done" || job.status === "partial") {
+    const cached = await store.getList(key);
     delete jobs[key];
-    return res.json({ status: "done", films: cached?.films || [], ts: cached?.ts });
+    await store.deleteJob(key);
+    return res.json({ status: job.status, films: cached?.films || [], ts: cached?.ts, failedPages: job.failedPages || [] });
   }
   res.json({ status: "unknown" });
 });
 
-// GET /api/enrich/:faId
+// GET /api/refresh-stream — SSE con el progreso del job y los films según llegan.
+// Eventos: progress (como refresh-status), films { films, replace } (replace = lista
+// completa; si no, añadir/actualizar por id), done { films, ts, failedPages }, failed { error, jobId }.
+app.get("/api/refresh-stream", async (req, res) => {
+  const { url } = req.query;
+  if (!url) return res.status(400).json({ error: "Falta url" });
+  const listUrl = decodeListUrl(url);
+  if (!listUrl) return res.status(400).json({ error: "URL inválida" });
+  const key = makeKey(listUrl);
+
+  res.writeHead(200, {
+    "Content-Type":      "text/event-stream",
+    "Cache-Control":     "no-cache",
+    "Connection":        "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  const send = (event, data) => res.write(sseMessage(event, data, req.locale));
+
+  // Estado actual para quien se conecta a mitad (o después) del job
+  const job = jobs[key] || await store.getJob(key);
+  if (!job || job.status !== "running") {
+    if (job?.status === "error") send("failed", { error: job.error, jobId: job.id });
+    else {
+      const cached = await store.getList(key);
+      send("done", { films: cached?.films || [], ts: cached?.ts || null, failedPages: cached?.failedPages || [] });
+    }
+    return res.end();
+  }
+  send("progress", jobProgress(job));
+  if (job.films.length) send("films", { films: job.films, replace: true });
+
+  (streams[key] ||= new Set()).add(res);
+  const ping = setInterval(() => res.write(": ping\n\n"), 25_000);
+  req.on("close", () => {
+    clearInterval(ping);
+    streams[key]?.delete(res);
+    if (streams[key]?.size === 0) delete streams[key];
+  });
+});
+
+// GET /api/enrich/:faId — datos TMDB en el idioma pedido (?lang= / Accept-Language).
+// Con ?tmdbId= (ya conocido en otro idioma) no se vuelve a buscar.
+// ?tmdbId= es solo una pista: si no es el id ya guardado para ese film, se devuelve esa
+// ficha sin guardarla (fijar una coincidencia es PUT, con su rol).
 app.get("/api/enrich/:faId", async (req, res) => {
-  const data = await tmdbEnrich({
+  const film = {
     id:    req.params.faId,
     title: req.query.title || "",
     year:  parseInt(req.query.year) || null,
     type:  req.query.type || "movie",
+  };
+  const hint = parseInt(req.query.tmdbId) || null;
+  if (hint && TMDB_KEY && !(await knownTmdbIds(film.id)).includes(hint)) {
+    try { return res.json(await tmdbDetails(hint, film.type === "series" ? "series" : "movie", {}, req.locale)); }
+    catch (e) { log("[TMDB] error:", film.title, e.message); return res.json({}); }
+  }
+  res.json(await tmdbEnrich({ ...film, tmdb_id: hint }, null, req.locale));
+});
+// Ids TMDB guardados para un film en cualquier idioma (coincidencia fijada o encontrada)
+async function knownTmdbIds(faId) {
+  const docs = await Promise.all(LOCALES.map(l => store.getTmdb(tmdbKey(faId, l)).catch(() => null)));
+  return docs.flatMap(d => [d?.pin?.tmdbId, d?.data?.tmdb_id]).filter(Boolean);
+}
+
+// GET /api/enrich/:faId/candidates — candidatos TMDB puntuados para corregir la coincidencia.
+// ?q= permite buscar por otro título (original, traducido…)
+app.get("/api/enrich/:faId/candidates", async (req, res) => {
+  if (!TMDB_KEY) return res.status(503).json({ error: "TMDB no configurado" });
+  const film = {
+    id:    req.params.faId,
+    title: req.query.title || "",
+    year:  parseInt(req.query.year) || null,
+    type:  req.query.type || "movie",
+  };
+  try {
+    const { error, candidates } = await tmdbSearch(film, req.query.q, req.locale);
+    if (error) return res.status(502).json({ error: "API key de TMDB inválida" });
+    const pin = (await store.getTmdb(film.id))?.pin || null;
+    res.json({
+      pin,
+      candidates: candidates.map(({ r, mediaType, score }) => ({
+        tmdbId: r.id, mediaType, score,
+        title:  r.title || r.name || "",
+        originalTitle: r.original_title || r.original_name || "",
+        year:   parseInt((r.release_date || r.first_air_date || "").slice(0, 4)) || null,
+        poster: r.poster_path ? `https://image.tmdb.org/t/p/w185${r.poster_path}` : null,
+      })),
+    });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// PUT /api/enrich/:faId — fija { tmdbId, mediaType } (tmdbId null = volver a automático).
+// Con ?url= se actualiza también el film dentro de esa lista guardada.
+app.put("/api/enrich/:faId", limits.write, requireRole(REFRESH_ROLE), validBody(SCHEMAS.pin), async (req, res) => {
+  if (!TMDB_KEY) return res.status(503).json({ error: "TMDB no configurado" });
+  const faId = req.params.faId;
+  const { tmdbId, mediaType } = req.body;
+  if (tmdbId != null && !mediaType) return res.status(400).json({ error: "mediaType es obligatorio" });
+
+  try {
+    // Los datos se piden en el idioma en que está enriquecida la lista (si se indica)
+    const listUrl = req.query.url ? decodeListUrl(req.query.url) : null;
+    const list    = listUrl ? await store.getList(makeKey(listUrl)) : null;
+    const film    = list?.films.find(f => f.id === faId);
+    const lang    = validLocale(film?.lang) || req.locale;
+    const data    = await tmdbPin(faId, tmdbId, mediaType, lang);
+
+    let updated = null;
+    if (film) {
+      // Quitar los campos TMDB anteriores antes de mezclar los nuevos
+      const base  = Object.fromEntries(Object.entries(film).filter(([k]) => !TMDB_FIELDS.includes(k)));
+      const extra = data || await tmdbEnrich(base, null, lang);
+      updated = { ...base, ...(extra._tmdb_error ? {} : extra), _enriched: true };
+      await store.updateListFilm(makeKey(listUrl), updated);
+    }
+    audit(req, "film.pin", listUrl ? makeKey(listUrl) : null, { faId, tmdbId: tmdbId ?? null, mediaType: mediaType || null });
+    res.json({ ok: true, data: data || null, film: updated });
+  } catch (e) {
+    if (e.status === 404) return res.status(404).json({ error: "Ese id no existe en TMDB" });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /api/auth/register | /api/auth/login — { username, password } → { token, username }
+app.post("/api/auth/register", limits.auth, validBody(SCHEMAS.register), async (req, res) => {
+  const { username, password } = req.body;
+  const created = await store.createUser({ username, ...hashPassword(password), ts: Date.now() });
+  if (!created) return res.status(409).json({ error: "Ese usuario ya existe" });
+  log("[AUTH] Alta", username);
+  res.json({ token: signToken(username), username });
+});
+app.post("/api/auth/login", limits.auth, validBody(SCHEMAS.login), async (req, res) => {
+  const { username, password } = req.body;
+  const user = typeof username === "string" ? await store.getUser(username) : null;
+  if (!user || typeof password !== "string" || !checkPassword(password, user))
+    return res.status(401).json({ error: "Usuario o contraseña incorrectos" });
+  res.json({ token: signToken(username), username });
+});
+app.get("/api/auth/me", (req, res) => {
+  if (!req.user) return res.status(401).json({ error: "No autenticado" });
+  res.json({ username: req.user, admin: req.admin });
+});
+
+// GET/POST/PATCH /api/marks/:key y /api/favs/:key — misma estructura, colecciones separadas.
+// Con sesión son las del usuario; sin ella, las compartidas de la lista.
+//   GET   → { marks, v } (+ ETag con la versión)
+//   POST  { marks }         → sobrescribe; con If-Match (o body.v) solo si la versión coincide (412 si no)
+//   PATCH { add, remove }   → cambios puntuales sin conflictos; devuelve el conjunto resultante
+function sendSet(res, set) { res.setHeader("ETag", `"${set.v}"`); res.json({ marks: set.marks, v: set.v }); }
+
+for (const kind of ["marks", "favs"]) {
+  app.get(`/api/${kind}/:key`, async (req, res) => {
+    sendSet(res, await store.getSet(kind, req.params.key, req.user));
+  });
+  app.post(`/api/${kind}/:key`, limits.write, validBody(SCHEMAS.setMarks), async (req, res) => {
+    const { marks } = req.body;
+    const ifMatch = req.headers["if-match"] ? parseInt(req.headers["if-match"].replace(/\D/g, "")) : req.body.v;
+    const set = await store.saveSet(kind, req.params.key, req.user, marks, Number.isInteger(ifMatch) ? ifMatch : null);
+    if (set.conflict) {
+      log(`[${kind.toUpperCase()}] Conflicto en`, req.params.key, "v", ifMatch, "≠", set.v);
+      res.setHeader("ETag", `"${set.v}"`);
+      return res.status(412).json({ error: "Las marcas cambiaron en otra pestaña o dispositivo", marks: set.marks, v: set.v });
+    }
+    audit(req, kind + ".set", req.params.key, { count: marks.length, v: set.v });
+    sendSet(res, set);
   });
-  res.json(data);
+  app.patch(`/api/${kind}/:key`, limits.write, validBody(SCHEMAS.patchMarks), async (req, res) => {
+    const { add = [], remove = [] } = req.body;
+    const set = await store.patchSet(kind, req.params.key, req.user, add, remove);
+    audit(req, kind + ".patch", req.params.key, { add: auditIds(add), remove: auditIds(remove), v: set.v });
+    sendSet(res, set);
+  });
+}
+
+// GET/PATCH /api/progress/:key — seguimiento por título, aparte de marcas y favoritos:
+// vista (fecha), nota propia 1-10, notas y, en series, temporada/episodio por el que se va.
+// Con sesión es el del usuario; sin ella, el compartido de la lista (como las marcas).
+//   GET   → { items: { id: { watched?, rating?, notes?, season?, episode?, ts } }, v }
+//   PATCH { id, state } → sustituye el estado de ese título (null o vacío = quitarlo); devuelve todo
+const PROGRESS_FIELDS = ["watched", "rating", "notes", "season", "episode"];
+app.get("/api/progress/:key", async (req, res) => {
+  const p = await store.getProgress(req.params.key, req.user);
+  res.setHeader("ETag", `"${p.v}"`);
+  res.json(p);
+});
+app.patch("/api/progress/:key", limits.write, validBody(SCHEMAS.progress), async (req, res) => {
+  const { id } = req.body;
+  const kept  = PROGRESS_FIELDS.filter(k => req.body.state?.[k] != null && req.body.state[k] !== "");
+  const state = kept.length ? { ...Object.fromEntries(kept.map(k => [k, req.body.state[k]])), ts: Date.now() } : null;
+  const p = await store.patchProgress(req.params.key, req.user, id, state);
+  audit(req, "progress.set", req.params.key, { id, ...(state ? { fields: kept } : { cleared: true }) });
+  res.setHeader("ETag", `"${p.v}"`);
+  res.json(p);
 });
 
-// GET /api/marks/:key
-app.get("/api/marks/:key", async (req, res) => {
-  const marks = await dbGetMarks(req.params.key);
-  res.json({ marks });
+// GET /api/marks/:key/summary — marcas y favoritos de todos los usuarios: { id: nº de personas }
+app.get("/api/marks/:key/summary", async (req, res) => {
+  const [marks, favs] = await Promise.all([
+    dbCountUserSets("user_marks", req.params.key),
+    dbCountUserSets("user_favs",  req.params.key),
+  ]);
+  res.json({ marks: marks.counts, favs: favs.counts, users: [...new Set([...marks.users, ...favs.users])] });
 });
-app.post("/api/marks/:key", async (req, res) => {
-  const { marks } = req.body;
-  if (!Array.isArray(marks)) return res.status(400).json({ error: "marks debe ser array" });
-  await dbSaveMarks(req.params.key, marks);
-  res.json({ ok: true });
+
+// GET|POST /api/export?url=…&format=csv|json|letterboxd|imdb — descarga de la lista guardada
+// con campos TMDB, marcas y seguimiento. En POST, body.ids limita a esos films (filtros del cliente).
+app.all("/api/export", async (req, res) => {
+  if (!["GET", "POST"].includes(req.method)) return res.status(405).json({ error: "Método no permitido" });
+  const { url } = req.query;
+  if (!url) return res.status(400).json({ error: "Falta url" });
+  const listUrl = decodeListUrl(url);
+  if (!listUrl) return res.status(400).json({ error: "URL inválida" });
+  const bodyError = req.method === "POST" && schemaError(SCHEMAS.exportIds, req.body ?? {});
+  if (bodyError) return res.status(400).json({ error: bodyError });
+  const format = req.query.format || "csv";
+  if (!Object.hasOwn(EXPORTERS, format)) return res.status(400).json({ error: "Formato no soportado: " + format });
+
+  const key  = makeKey(listUrl);
+  const list = await store.getList(key);
+  if (!list) return res.status(404).json({ error: "Lista no descargada todavía" });
+
+  const [marks, favs, progress] = await Promise.all([
+    dbGetMarks(key, req.user), dbGetFavs(key, req.user), store.getProgress(key, req.user),
+  ]);
+  const ids = req.body?.ids ? new Set(req.body.ids)
+            : req.query.ids ? new Set(String(req.query.ids).split(",")) : null;
+  const films = list.films
+    .filter(f => !ids || ids.has(f.id))
+    .map(f => ({ ...f, favourite: favs.includes(f.id), marked: marks.includes(f.id), progress: progress.items[f.id] || null }));
+
+  const { ext, type, body } = EXPORTERS[format](films);
+  log("[EXPORT]", key, format, films.length, "films");
+  res.setHeader("Content-Type", type);
+  res.setHeader("Content-Disposition", `attachment; filename="${key}-${format}.${ext}"`);
+  res.send(body);
 });
 
-// GET/POST /api/favs/:key — misma estructura que marks pero colección separada
-app.get("/api/favs/:key", async (req, res) => {
-  const marks = await dbGetFavs(req.params.key);
-  res.json({ marks });
+// GET /api/pick?url=…&count=1&recent=id,id — "¿qué vemos hoy?": títulos al azar de la
+// lista guardada, con más probabilidad cuanto mejor nota en FA (y favoritos), sin los
+// marcados para borrar ni los ya vistos. Admite los filtros de /api/list (dur=-110, type=series,
+// genres=Drama…). `recent` (últimas elegidas) se evita mientras quede otra opción.
+const PICK_FAV_WEIGHT = 3;
+function pickWeight(film, fav) {
+  const r = film.rating ?? 5;  // sin nota: como un 5
+  return Math.max(0.5, r - 4) ** 2 * (fav ? PICK_FAV_WEIGHT : 1);
+}
+// Muestreo ponderado sin reemplazo
+function weightedSample(items, weights, n) {
+  items = [...items]; weights = [...weights];
+  const out = [];
+  while (out.length < n && items.length) {
+    let x = Math.random() * weights.reduce((a, b) => a + b, 0);
+    let i = 0;
+    while (i < items.length - 1 && (x -= weights[i]) >= 0) i++;
+    out.push(items.splice(i, 1)[0]); weights.splice(i, 1);
+  }
+  return out;
+}
+app.get("/api/pick", async (req, res) => {
+  const { url } = req.query;
+  if (!url) return res.status(400).json({ error: "Falta url" });
+  const listUrl = decodeListUrl(url);
+  if (!listUrl) return res.status(400).json({ error: "URL inválida" });
+  const key  = makeKey(listUrl);
+  const list = await store.getList(key);
+  if (!list) return res.status(404).json({ error: "Lista no descargada todavía" });
+
+  const [marks, favs, progress] = await Promise.all([
+    dbGetMarks(key, req.user), dbGetFavs(key, req.user), store.getProgress(key, req.user),
+  ]);
+  const favSet = new Set(favs);
+  const recent = new Set(String(req.query.recent || "").split(",").filter(Boolean));
+  let pool = queryFilms(list.films, { ...req.query, sort: "" }).filter(f => !marks.includes(f.id) && !progress.items[f.id]?.watched);
+  if (pool.some(f => !recent.has(f.id))) pool = pool.filter(f => !recent.has(f.id));
+  if (!pool.length) return res.status(404).json({ error: "Ningún título cumple las condiciones" });
+
+  const count = Math.min(Math.max(parseInt(req.query.count) || 1, 1), 10);
+  const picks = weightedSample(pool, pool.map(f => pickWeight(f, favSet.has(f.id))), count);
+  res.json({ picks: picks.map(f => ({ ...f, favourite: favSet.has(f.id) })), pool: pool.length });
 });
-app.post("/api/favs/:key", async (req, res) => {
-  const { marks } = req.body;
-  if (!Array.isArray(marks)) return res.status(400).json({ error: "marks debe ser array" });
-  await dbSaveFavs(req.params.key, marks);
+
+// GET /api/stats?url=… — composición de la lista guardada (admite los filtros de /api/list):
+// reparto por género, país, década y nota, duración total y cómo se distribuyen
+// favoritos y marcados para borrar en cada grupo ({ name, count, favs, marked }).
+// La duración solo suma películas: la de las series es por episodio.
+function tally(films, keysOf, favSet, markSet) {
+  const groups = new Map();
+  for (const f of films) for (const name of keysOf(f)) {
+    if (name == null || name === "") continue;
+    if (!groups.has(name)) groups.set(name, { name, count: 0, favs: 0, marked: 0 });
+    const g = groups.get(name);
+    g.count++;
+    if (favSet.has(f.id))  g.favs++;
+    if (markSet.has(f.id)) g.marked++;
+  }
+  return [...groups.values()];
+}
+const average = a => a.length ? Math.round(a.reduce((x, y) => x + y, 0) / a.length * 100) / 100 : null;
+const byCount = (a, b) => b.count - a.count || String(a.name).localeCompare(String(b.name), "es");
+const byName  = (a, b) => a.name - b.name;
+
+function listStats(films, favSet, markSet, locale) {
+  const rated  = films.filter(f => f.rating != null);
+  const movies = films.filter(f => f.type !== "series");
+  const ratingsOf = set => rated.filter(f => set.has(f.id)).map(f => f.rating);
+  const sum = list => list.reduce((t, f) => t + (f.duration || 0), 0);
+  return {
+    total: films.length,
+    movies: movies.length,
+    series: films.length - movies.length,
+    favs:   films.filter(f => favSet.has(f.id)).length,
+    marked: films.filter(f => markSet.has(f.id)).length,
+    rating: {
+      avg: average(rated.map(f => f.rating)),
+      favs: average(ratingsOf(favSet)),
+      marked: average(ratingsOf(markSet)),
+      unrated: films.length - rated.length,
+    },
+    // Minutos: total de películas, lo que queda sin marcar y cuántas no tienen duración
+    runtime: {
+      total: sum(movies),
+      remaining: sum(movies.filter(f => !markSet.has(f.id))),
+      unknown: movies.filter(f => !f.duration).length,
+    },
+    ratings:   tally(rated, f => [Math.min(Math.floor(f.rating), 9)], favSet, markSet).sort(byName),
+    decades:   tally(films, f => [f.year ? Math.floor(f.year / 10) * 10 : null], favSet, markSet).sort(byName),
+    genres:    tally(films, f => f.genres || [], favSet, markSet).sort(byCount),
+    // Agrupados por código y con el nombre en el idioma de la petición (code sirve de filtro)
+    countries: tally(films, f => [f.country_code || f.country], favSet, markSet)
+      .map(g => ({ ...g, code: g.name, name: countryName(g.name, locale) })).sort(byCount),
+  };
+}
+app.get("/api/stats", async (req, res) => {
+  const { url } = req.query;
+  if (!url) return res.status(400).json({ error: "Falta url" });
+  const listUrl = decodeListUrl(url);
+  if (!listUrl) return res.status(400).json({ error: "URL inválida" });
+  const key  = makeKey(listUrl);
+  const list = await store.getList(key);
+  if (!list) return res.status(404).json({ error: "Lista no descargada todavía" });
+
+  const [marks, favs] = await Promise.all([dbGetMarks(key, req.user), dbGetFavs(key, req.user)]);
+  const films = queryFilms(list.films, { ...req.query, sort: "" });
+  const filtered = FILM_QUERY.some(p => req.query[p]);
+  res.json({ ...listStats(films, new Set(favs), new Set(marks), req.locale), ...(filtered ? { listTotal: list.films.length } : {}) });
+});
+
+// GET /api/compare?url=A&url=B[&url=C…] — compara listas guardadas: unión con `sources`
+// (índices de las listas que contienen cada film), comunes a todas y exclusivos de cada una.
+// ?mode=common | ?mode=only&list=i limita `films` a esos.
+app.get("/api/compare", async (req, res) => {
+  const urls = [].concat(req.query.url || []).map(decodeListUrl);
+  if (urls.length < 2 || urls.length > MERGE_MAX) return res.status(400).json({ error: `Indica de 2 a ${MERGE_MAX} listas` });
+  if (urls.some(u => !u || isMergeUrl(u))) return res.status(400).json({ error: "URL inválida" });
+
+  const { lists, films } = await combineLists(urls);
+  const only = urls.map((_, i) => films.filter(f => f.sources.length === 1 && f.sources[0] === i).length);
+  const common = films.filter(f => f.sources.length === urls.length);
+  let out = films;
+  if (req.query.mode === "common") out = common;
+  if (req.query.mode === "only") out = films.filter(f => f.sources.length === 1 && f.sources[0] === parseInt(req.query.list));
+  res.json({
+    lists: urls.map((url, i) => ({ url, key: makeKey(url), count: lists[i]?.films.length ?? null, ts: lists[i]?.ts || null })),
+    counts: { union: films.length, common: common.length, only },
+    films: out,
+  });
+});
+
+// POST /api/merge { urls: [A, B, …] } — guarda la combinación como lista virtual
+// ("merge:A|B"), que al actualizarse refresca sus listas de origen. Devuelve su url.
+app.post("/api/merge", limits.refresh, requireRole(REFRESH_ROLE), validBody(SCHEMAS.merge), async (req, res) => {
+  const urls = req.body.urls.map(decodeListUrl);
+  const listUrl = urls.every(u => u && !isMergeUrl(u)) ? "merge:" + urls.join("|") : null;
+  if (!isMergeUrl(listUrl)) return res.status(400).json({ error: `Indica de 2 a ${MERGE_MAX} listas distintas` });
+
+  const key = makeKey(listUrl);
+  const { lists, films } = await combineLists(urls);
+  if (lists.some(l => !l)) return res.status(404).json({ error: "Alguna de las listas no se ha descargado todavía" });
+  await store.saveList(key, films, listUrl);
+  await dbSaveSnapshot(key, films, null);
+  log("[MERGE]", key, urls.length, "listas,", films.length, "films");
+  audit(req, "list.merge", key, { urls });
+  res.json({ url: listUrl, key, count: films.length });
+});
+
+// ── Administración ────────────────────────────────────────────────────────────
+// GET /api/admin/audit?key=&user=&action=&limit=100 — registro de auditoría, más reciente primero
+app.get("/api/admin/audit", requireAdmin, async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000);
+  const q = { key: req.query.key, user: req.query.user, action: req.query.action };
+  res.json({ entries: await store.getAudit(q, limit) });
+});
+
+// GET /api/admin/schedules — listas con refresco programado
+app.get("/api/admin/schedules", requireAdmin, async (req, res) => {
+  const list = await store.getSchedules();
+  res.json({ schedules: list.map(sc => ({ ...sc, running: jobs[sc.key]?.status === "running" })) });
+});
+
+// POST /api/admin/schedules { url, intervalHours? } — alta (o cambio de intervalo)
+app.post("/api/admin/schedules", requireAdmin, validBody(SCHEMAS.schedule), async (req, res) => {
+  const { url, intervalHours } = req.body;
+  const listUrl = url ? decodeListUrl(url) : null;
+  if (!listUrl || isImportUrl(listUrl)) return res.status(400).json({ error: "URL inválida" });
+  const hours = intervalHours ?? SCHEDULE_HOURS;
+
+  const key = makeKey(listUrl);
+  const existing = (await store.getSchedules()).find(sc => sc.key === key);
+  // Primera ejecución escalonada en los próximos minutos
+  const sched = {
+    lastRun: null, lastStatus: null, paused: false,
+    ...existing,
+    key, listUrl, intervalHours: hours,
+    nextRun: existing ? nextRunFrom(existing.lastRun || Date.now(), hours) : Math.round(Date.now() + Math.random() * 10 * 60 * 1000),
+  };
+  await store.saveSchedule(sched);
+  log("[SCHED] Programada", key, "cada", hours, "h");
+  audit(req, "schedule.save", key, { intervalHours: hours });
+  res.json({ schedule: sched });
+});
+
+// PATCH /api/admin/schedules/:key { paused?, intervalHours? }
+app.patch("/api/admin/schedules/:key", requireAdmin, validBody(SCHEMAS.schedule), async (req, res) => {
+  const sched = (await store.getSchedules()).find(sc => sc.key === req.params.key);
+  if (!sched) return res.status(404).json({ error: "Lista no programada" });
+  const { paused, intervalHours } = req.body;
+  if (paused != null) sched.paused = paused;
+  if (intervalHours != null) {
+    sched.intervalHours = intervalHours;
+    sched.nextRun = nextRunFrom(sched.lastRun || Date.now(), sched.intervalHours);
+  }
+  await store.saveSchedule(sched);
+  log("[SCHED]", sched.key, sched.paused ? "pausada" : "activa", "cada", sched.intervalHours, "h");
+  audit(req, "schedule.update", sched.key, { paused: sched.paused, intervalHours: sched.intervalHours });
+  res.json({ schedule: sched });
+});
+
+// DELETE /api/admin/schedules/:key
+app.delete("/api/admin/schedules/:key", requireAdmin, async (req, res) => {
+  if (!await store.deleteSchedule(req.params.key)) return res.status(404).json({ error: "Lista no programada" });
+  audit(req, "schedule.delete", req.params.key);
   res.json({ ok: true });
 });
 
-// GET /api/dump — diagnóstico
-app.get("/api/dump", async (req, res) => {
-  const { url } = req.query;
+// GET /api/dump (admin) — diagnóstico
+// ?save=nombre guarda además el HTML descargado como fixture en FIXTURES_DIR,
+// junto con lo que los parsers extraen de él hoy; ?fixture=nombre analiza ese HTML
+// guardado en vez de ir a FA y lo compara con lo extraído al guardarlo. Por defecto en
+// test/fixtures: `npm test` vuelve a comprobar todos los guardados.
+const FIXTURES_DIR = process.env.FIXTURES_DIR || path.join(__dirname, "test", "fixtures");
+const FIXTURE_NAME = /^[\w-]{1,60}$/;
+
+function dumpParse(html, listUrl) {
+  const source = detectSource(listUrl);
+  const films  = FA_SOURCES[source.type].parse(html, source.locale);
+  return { source, films, totalPages: FA_SOURCES[source.type].totalPages(html) };
+}
+
+app.get("/api/dump", limits.admin, requireAdmin, async (req, res) => {
+  const { url, save, fixture } = req.query;
+  if (fixture) return dumpFixture(fixture, res);
   if (!url) return res.status(400).send("Falta url");
   const listUrl = decodeListUrl(url);
-  if (!listUrl) return res.status(400).send("URL inválida");
+  if (!listUrl || isImportUrl(listUrl) || isMergeUrl(listUrl)) return res.status(400).send("URL inválida");
+  if (save && !FIXTURE_NAME.test(save)) return res.status(400).json({ error: "Nombre de fixture inválido (letras, números, - y _)" });
   try {
-    const html = await faFetch(listUrl);
-    const $    = cheerio.load(html);
+    const html   = await faFetch(listUrl);
+    const $      = cheerio.load(html);
+    const parsed = dumpParse(html, listUrl);
+    if (save) {
+      await fs.promises.mkdir(FIXTURES_DIR, { recursive: true });
+      await fs.promises.writeFile(path.join(FIXTURES_DIR, save + ".html"), html);
+      await fs.promises.writeFile(path.join(FIXTURES_DIR, save + ".json"), JSON.stringify({
+        url: listUrl, savedAt: new Date().toISOString(), ...parsed,
+      }, null, 2));
+      log("[DUMP] Fixture guardado:", save, parsed.films.length, "films");
+      audit(req, "fixture.save", null, { name: save, url: listUrl });
+    }
     res.json({
-      length: html.length, title: $("title").text(),
+      length: html.length, title: $("title").text(), source: parsed.source,
+      parsed: parsed.films.length, totalPages: parsed.totalPages, saved: save || undefined,
       selectors: {
         "user-list-film-item": $(".user-list-film-item").length,
         "fa-film":             $(".fa-film").length,
@@ -523,111 +1502,582 @@ app.get("/api/dump", async (req, res) => {
         "data-movie-id":       $("[data-movie-id]").length,
         "a[href*=film]":       $("a[href*='/film']").length,
       },
-      firstFilmLink: $("a[href*='/es/film']").first().attr("href") || "ninguno",
+      firstFilmLink: $("a[href*='/film']").first().attr("href") || "ninguno",
       snippet: html.slice(0, 2000),
     });
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
+// Vuelve a pasar los parsers sobre un fixture guardado: qué films aparecen, desaparecen
+// o cambian de datos respecto a lo extraído cuando se guardó
+async function dumpFixture(name, res) {
+  if (!FIXTURE_NAME.test(name)) return res.status(400).json({ error: "Nombre de fixture inválido" });
+  let html, saved;
+  try {
+    html  = await fs.promises.readFile(path.join(FIXTURES_DIR, name + ".html"), "utf8");
+    saved = JSON.parse(await fs.promises.readFile(path.join(FIXTURES_DIR, name + ".json"), "utf8"));
+  } catch { return res.status(404).json({ error: "Fixture no encontrado" }); }
+  const now   = dumpParse(html, saved.url);
+  const byId  = new Map(saved.films.map(f => [f.id, f]));
+  const nowId = new Set(now.films.map(f => f.id));
+  const changed = now.films.filter(f => byId.has(f.id) && JSON.stringify(f) !== JSON.stringify(byId.get(f.id)));
+  const added   = now.films.filter(f => !byId.has(f.id)).map(slimFilm);
+  const removed = saved.films.filter(f => !nowId.has(f.id)).map(slimFilm);
+  res.json({
+    fixture: name, url: saved.url, savedAt: saved.savedAt, source: now.source,
+    parsed: now.films.length, expected: saved.films.length,
+    totalPages: now.totalPages, expectedTotalPages: saved.totalPages,
+    ok: !added.length && !removed.length && !changed.length && now.totalPages === saved.totalPages,
+    added, removed, changed: changed.map(f => ({ now: f, saved: byId.get(f.id) })),
+  });
+}
+
 // Fallback → frontend
 app.get("*", (req, res) => {
   res.sendFile(path.join(__dirname, "public", "index.html"));
 });
 
 // ── Job de refresco (FA scraping + TMDB enrich todo en servidor) ──────────────
+// El estado del job se guarda en DB en cada página descargada y cada pocos films
+// enriquecidos, de modo que tras un reinicio se reanuda donde se quedó.
+// `lang`: idioma de los datos TMDB (ver listLang)
+// `id`: identifica la ejecución en los logs (jobId) y en las respuestas al cliente
+function newJob(key, listUrl, lang = DEFAULT_LOCALE) {
+  return {
+    id: newJobId(), key, listUrl, lang, status: "running", progress: "Conectando con FilmAffinity…", error: null,
+    totalPages: null, pagesDone: 0, failedPages: [], scraped: false, films: [], detailed: 0, enriched: 0,
+    tmdbStats: { hits: 0, misses: 0 }, ts: Date.now(),
+  };
+}
+
+// Idioma en que se enriquece una lista: el pedido; si no, el que ya tiene (para no
+// mezclar idiomas al refrescar); si no, el de la web de FA de origen.
+async function listLang(key, listUrl, requested) {
+  if (validLocale(requested)) return requested;
+  const saved = (await store.getList(key).catch(() => null))?.films.find(f => f.lang)?.lang;
+  if (validLocale(saved)) return saved;
+  // (la web "us" de FA también está en inglés)
+  if (!isImportUrl(listUrl) && !isMergeUrl(listUrl)) return validLocale(urlLocale(listUrl).replace("us", "en")) || DEFAULT_LOCALE;
+  return DEFAULT_LOCALE;
+}
+
+// Job sin scraping: los films ya están (importados) y solo queda enriquecerlos
+function newImportJob(key, listUrl, films, lang) {
+  return {
+    ...newJob(key, listUrl, lang), progress: "Preparando títulos importados…",
+    imported: true, pagesDone: 1, totalPages: 1, scraped: true, films,
+  };
+}
+
+const newJobId = () => crypto.randomBytes(6).toString("hex");
+
+// Ejecuta el job de una lista dentro de su contexto de log (ver logContext) y mide
+// cuánto tarda. Los jobs guardados antes de tener id reciben uno al reanudarse.
 async function runRefreshJob(key, listUrl) {
-  log("[JOB] Iniciando para", listUrl);
+  const job  = jobs[key];
+  job.id   ||= newJobId();
+  const kind = isMergeUrl(listUrl) ? "merge" : job.imported ? "import" : "list";
+  const t0   = Date.now();
+  await logContext.run({ jobId: job.id, key }, async () => {
+    await (kind === "merge" ? runMergeJob(key, listUrl) : runListJob(key, listUrl));
+    const secs = (Date.now() - t0) / 1000;
+    metric.jobDuration.observe({ kind, status: job.status }, secs);
+    log("[JOB] Fin:", job.status, `en ${secs.toFixed(1)}s`, job.error ? "— " + job.error : "");
+  });
+}
+
+async function runListJob(key, listUrl) {
+  const job      = jobs[key];
+  const resuming = job.imported ? job.enriched > 0 || job.detailed > 0 : job.pagesDone > 0;
+  log(resuming ? "[JOB] Reanudando" : job.imported ? "[JOB] Enriqueciendo importación" : "[JOB] Iniciando", "para", listUrl,
+      resuming ? `(páginas: ${job.pagesDone}, enriquecidos: ${job.enriched})` : "");
   try {
-    // 1. Scraping FA
-    jobs[key].progress = "Descargando página 1…";
-    const html1      = await faFetch(listUrl);
-    let allFilms     = parseListPage(html1);
-    const totalPages = parseTotalPages(html1);
-    log("[JOB] Página 1:", allFilms.length, "films, páginas:", totalPages);
-
-    for (let page = 2; page <= Math.min(totalPages, 30); page++) {
-      jobs[key].progress = `Descargando página ${page} de ${totalPages}…`;
-      await sleep(2000 + Math.random() * 1000);
-      try {
-        const sep  = listUrl.includes("?") ? "&" : "?";
-        const html = await faFetch(`${listUrl}${sep}page=${page}`);
-        const pf   = parseListPage(html);
-        if (pf.length === 0) break;
-        allFilms = allFilms.concat(pf);
-      } catch (e) { log("[JOB] Parada p." + page + ":", e.message); break; }
-    }
+    // Versión anterior para calcular el diff al terminar. Al reanudar, la lista
+    // guardada puede ser la base a medias de este mismo job: usar solo el snapshot.
+    // Una lista incompleta tampoco sirve de referencia (daría films por eliminados).
+    const [lastSnap] = await store.getHistory(key);
+    const saved = resuming || job.imported ? null : await store.getList(key);
+    const prev  = lastSnap || (saved?.failedPages?.length ? null : saved);
+    const failed = job.failedPages ||= [];
+
+    // 1. Scraping FA (desde la última página completada), con el parser de su tipo de página
+    const { type, locale } = detectSource(listUrl);
+    const source = FA_SOURCES[type];
+    if (!job.scraped) {
+      if (job.pagesDone === 0) {
+        log("[JOB] Fuente:", type, "·", locale);
+        setJobProgress(job, "Descargando página 1…");
+        const html1    = await faFetch(listUrl);
+        job.films      = source.parse(html1, locale);
+        job.totalPages = source.totalPages(html1);
+        job.pagesDone  = 1;
+        emitJob(key, "films", { films: job.films });
+        await dbSaveJob(job);
+        log("[JOB] Página 1:", job.films.length, "films, páginas:", job.totalPages);
+      }
+
+      const lastPage = Math.min(job.totalPages, 30);
+      for (let page = job.pagesDone + 1; page <= lastPage; page++) {
+        setJobProgress(job, `Descargando página ${page} de ${job.totalPages}…`);
+        try {
+          const html = await faFetch(source.pageUrl(listUrl, page));
+          const pf   = source.parse(html, locale);
+          // Página vacía, o FA ignoró la paginación y devolvió lo mismo → fin
+          const known = new Set(job.films.map(f => f.id));
+          if (pf.length === 0 || pf.every(f => known.has(f.id))) break;
+          job.films     = job.films.concat(pf);
+          job.pagesDone = page;
+          emitJob(key, "films", { films: pf });
+          await dbSaveJob(job);
+        } catch (e) {
+          // Tras agotar reintentos: se apunta la página y se sigue con la siguiente,
+          // salvo bloqueo (las demás fallarían igual)
+          log("[JOB] Fallo p." + page + ":", e.message);
+          const upTo = e.blocked ? lastPage : page;
+          for (let p = page; p <= upTo; p++) failed.push(p);
+          job.pagesDone = upTo;
+          await dbSaveJob(job);
+          if (e.blocked) break;
+        }
+      }
+
+      const seen = new Set();
+      if (source.reverse) job.films.reverse();
+      job.films = job.films.filter(f => { if (seen.has(f.id)) return false; seen.add(f.id); return true; });
+      job.scraped = true;
+      log("[JOB] FA total:", job.films.length, "films", failed.length ? `(páginas fallidas: ${failed.join(", ")})` : "");
 
-    allFilms = allFilms.reverse();
-    const seen = new Set();
-    allFilms = allFilms.filter(f => { if (seen.has(f.id)) return false; seen.add(f.id); return true; });
-    log("[JOB] FA total:", allFilms.length, "films");
+      // 2. Guardar lista base inmediatamente (por si el enrich falla a medias)
+      await store.saveList(key, job.films, listUrl, failed);
+      emitJob(key, "films", { films: job.films, replace: true });
+      await dbSaveJob(job);
+    }
 
-    // 2. Guardar lista base inmediatamente (por si el enrich falla a medias)
-    await dbSaveList(key, allFilms, listUrl);
+    const allFilms = job.films;
+
+    // 2b. Fichas FA (opcional): director, reparto… antes de TMDB para mejorar la búsqueda
+    if (FA_DETAILS) {
+      const stats = job.detailStats ||= { hits: 0, misses: 0 };
+      for (let i = job.detailed || 0; i < allFilms.length; i++) {
+        setJobProgress(job, `Descargando fichas de FilmAffinity… (${i + 1}/${allFilms.length})`);
+        try {
+          if (allFilms[i].filmaffinity_url) allFilms[i] = { ...allFilms[i], ...await faDetails(allFilms[i], stats) };
+        } catch (e) { log("[JOB] Ficha", allFilms[i].id, e.message); }
+        job.detailed = i + 1;
+        if (job.detailed % 10 === 0 || job.detailed === allFilms.length) {
+          emitJob(key, "films", { films: allFilms.slice(Math.max(0, i - 9), i + 1) });
+          await dbSaveJob(job);
+        }
+      }
+      await store.saveList(key, allFilms, listUrl, failed);
+      log("[JOB] Fichas FA —", stats.hits, "en caché,", stats.misses, "descargadas");
+    }
 
-    // 3. Enriquecimiento TMDB en el servidor (no en el cliente)
+    // 3. Enriquecimiento TMDB en el servidor (no en el cliente), desde el último film enriquecido
     if (TMDB_KEY) {
-      log("[JOB] Iniciando enrich TMDB para", allFilms.length, "films");
-      for (let i = 0; i < allFilms.length; i++) {
-        jobs[key].progress = `Enriqueciendo con TMDB… (${i + 1}/${allFilms.length})`;
-        const extra = await tmdbEnrich(allFilms[i]);
+      log("[JOB] Iniciando enrich TMDB para", allFilms.length - job.enriched, "films");
+      const stats = job.tmdbStats ||= { hits: 0, misses: 0 };
+      for (let i = job.enriched; i < allFilms.length; i++) {
+        setJobProgress(job, `Enriqueciendo con TMDB… (${i + 1}/${allFilms.length}) · ${stats.hits} en caché, ${stats.misses} consultados`);
+        const misses = stats.misses;
+        const extra  = await tmdbEnrich(allFilms[i], stats, job.lang || DEFAULT_LOCALE);
         if (extra && !extra._tmdb_error && Object.keys(extra).length > 0) {
           allFilms[i] = { ...allFilms[i], ...extra, _enriched: true };
         } else {
           allFilms[i] = { ...allFilms[i], _enriched: true };
         }
-        // Pausa pequeña para no saturar TMDB API (40 req/s límite)
-        await sleep(80);
+        job.enriched = i + 1;
+        if (job.enriched % 10 === 0 || job.enriched === allFilms.length) {
+          emitJob(key, "films", { films: allFilms.slice(Math.max(0, i - 9), i + 1) });
+          await dbSaveJob(job);
+        }
+        // Pausa pequeña para no saturar TMDB API (40 req/s límite); innecesaria si vino de caché
+        if (stats.misses > misses) await sleep(80);
       }
       // Guardar versión enriquecida final
-      await dbSaveList(key, allFilms, listUrl);
-      log("[JOB] Enrich completo");
+      await store.saveList(key, allFilms, listUrl, failed);
+      log("[JOB] Enrich completo —", stats.hits, "en caché,", stats.misses, "consultados a TMDB");
+    }
+
+    // 4. Snapshot + diff respecto a la versión anterior (no si faltan páginas: el
+    // siguiente refresco completo se comparará con la última versión buena)
+    if (!failed.length) {
+      const diff = prev ? diffFilms(prev.films, allFilms) : null;
+      await dbSaveSnapshot(key, allFilms, diff);
+      if (diff) log("[JOB] Diff: +", diff.added.length, "-", diff.removed.length, "~", diff.changed.length);
+    }
+
+    job.status   = failed.length ? "partial" : "done";
+    job.progress = null;
+    job.films    = [];  // ya están en la lista; no duplicarlos en el job
+    emitJob(key, "done", { films: allFilms, ts: (await store.getList(key))?.ts || Date.now(), failedPages: failed });
+  } catch (err) {
+    log("[JOB] Error:", err.message);
+    job.status = "error";
+    job.error  = err.message;
+    emitJob(key, "failed", { error: err.message, jobId: job.id });
+  }
+  await dbSaveJob(job).catch(e => log("[JOB] Error guardando estado:", e.message));
+}
+
+// Lista combinada: refresca sus listas de origen de una en una (esperando a la que ya
+// se esté descargando; las importadas no tienen nada que descargar) y las vuelve a combinar
+async function runMergeJob(key, listUrl) {
+  const job  = jobs[key];
+  const urls = mergeSources(listUrl);
+  log("[JOB] Combinada", key, "—", urls.length, "listas");
+  try {
+    const [lastSnap] = await store.getHistory(key);
+    job.totalPages = urls.length;
+    for (const [i, url] of urls.entries()) {
+      setJobProgress(job, `Actualizando lista ${i + 1} de ${urls.length}…`);
+      const sk = makeKey(url);
+      if (jobs[sk]?.status === "running") {
+        while (jobs[sk]?.status === "running") await sleep(2000);
+      } else if (!isImportUrl(url)) {
+        jobs[sk] = newJob(sk, url, await listLang(sk, url));
+        await dbSaveJob(jobs[sk]);
+        await runRefreshJob(sk, url);
+      }
+      if (jobs[sk]?.status === "error") throw new Error(`Lista ${i + 1}: ${jobs[sk].error}`);
+      job.pagesDone = i + 1;
+      await dbSaveJob(job);
     }
 
-    jobs[key].status = "done";
+    const { lists, films } = await combineLists(urls);
+    const failed = lists.flatMap((l, i) => l?.failedPages?.length ? [i + 1] : []);
+    await store.saveList(key, films, listUrl);
+    // Con alguna lista incompleta no hay snapshot (como en runRefreshJob)
+    if (!failed.length) {
+      const diff = lastSnap ? diffFilms(lastSnap.films, films) : null;
+      await dbSaveSnapshot(key, films, diff);
+    }
+    job.status   = failed.length ? "partial" : "done";
+    job.progress = null;
+    if (failed.length) log("[JOB] Combinada con listas incompletas:", failed.join(", "));
+    emitJob(key, "done", { films, ts: (await store.getList(key))?.ts || Date.now(), failedPages: [] });
   } catch (err) {
     log("[JOB] Error:", err.message);
-    jobs[key].status = "error";
-    jobs[key].error  = err.message;
+    job.status = "error";
+    job.error  = err.message;
+    emitJob(key, "failed", { error: err.message, jobId: job.id });
   }
+  await dbSaveJob(job).catch(e => log("[JOB] Error guardando estado:", e.message));
+}
+
+// Une varias listas guardadas por id de film. Cada film lleva `sources`: índices de las
+// listas en las que aparece; los datos son los de la primera que lo tiene.
+async function combineLists(urls) {
+  const lists = await Promise.all(urls.map(u => store.getList(makeKey(u))));
+  const byId = new Map();
+  lists.forEach((list, i) => {
+    for (const f of list?.films || []) {
+      const cur = byId.get(f.id);
+      if (cur) cur.sources.push(i);
+      else byId.set(f.id, { ...f, sources: [i] });
+    }
+  });
+  return { lists, films: [...byId.values()] };
 }
 
+// Progreso de un job tal como lo ven /api/refresh-status y /api/refresh-stream
+function jobProgress(job) {
+  return {
+    status: "running", jobId: job.id, progress: job.progress,
+    pagesDone: job.pagesDone, totalPages: job.totalPages, enriched: job.enriched, total: job.films.length,
+    tmdbHits: job.tmdbStats?.hits || 0, tmdbMisses: job.tmdbStats?.misses || 0,
+  };
+}
+
+// Suscriptores SSE por lista (key → Set de respuestas abiertas)
+const streams = {};
+function emitJob(key, event, data) {
+  const subs = streams[key];
+  if (!subs) return;
+  for (const res of subs) {
+    res.write(sseMessage(event, data, res.req.locale));
+    if (event === "done" || event === "failed") res.end();
+  }
+  if (event === "done" || event === "failed") delete streams[key];
+}
+function setJobProgress(job, msg) {
+  job.progress = msg;
+  emitJob(job.key, "progress", jobProgress(job));
+}
+
+// Reanuda los jobs que quedaron "running" al reiniciarse el servidor (de uno en uno)
+async function resumeJobs() {
+  const pending = await store.getRunningJobs();
+  if (!pending.length) return;
+  log("[JOB]", pending.length, "job(s) pendientes de reanudar");
+  for (const job of pending) {
+    job.progress = "Reanudando tras reinicio del servidor…";
+    jobs[job.key] = job;
+  }
+  // Las combinadas esperan a sus listas de origen: van al final
+  pending.sort((a, b) => isMergeUrl(a.listUrl) - isMergeUrl(b.listUrl));
+  for (const job of pending) await runRefreshJob(job.key, job.listUrl);
+}
+
+// ── Refrescos programados ─────────────────────────────────────────────────────
+// Cada minuto se lanzan las listas vencidas, respetando SCHEDULE_CONCURRENCY (contando
+// también los jobs manuales). La siguiente ejecución lleva jitter para no ir en bloque.
+function nextRunFrom(ts, hours) {
+  const ms = hours * 60 * 60 * 1000;
+  return Math.round(ts + ms * (1 + (Math.random() * 2 - 1) * SCHEDULE_JITTER));
+}
+
+async function schedulerTick() {
+  const running = Object.values(jobs).filter(j => j.status === "running").length;
+  let free = SCHEDULE_CONCURRENCY - running;
+  if (free <= 0) return;
+
+  const now = Date.now();
+  const due = (await store.getSchedules())
+    .filter(sc => !sc.paused && sc.nextRun <= now && jobs[sc.key]?.status !== "running")
+    .sort((a, b) => a.nextRun - b.nextRun);
+
+  for (const sc of due) {
+    if (free-- <= 0) break;
+    log("[SCHED] Refresco programado de", sc.key);
+    jobs[sc.key] = newJob(sc.key, sc.listUrl, await listLang(sc.key, sc.listUrl));
+    await dbSaveJob(jobs[sc.key]);
+    await store.saveSchedule({ ...sc, lastRun: now, lastStatus: "running", nextRun: nextRunFrom(now, sc.intervalHours) });
+    runRefreshJob(sc.key, sc.listUrl).then(async () => {
+      const job = jobs[sc.key];
+      const cur = (await store.getSchedules()).find(x => x.key === sc.key);
+      if (cur) await store.saveSchedule({ ...cur, lastStatus: job.status, lastError: job.error || null, lastJobId: job.id });
+      log("[SCHED]", sc.key, "→", job.status);
+    }).catch(e => log("[SCHED] Error:", e.message));
+  }
+}
+
+function startScheduler() {
+  setInterval(() => schedulerTick().catch(e => log("[SCHED] Error:", e.message)), 60_000).unref();
+}
+
+// ── Importación CSV (Letterboxd / IMDb) ───────────────────────────────────────
+// CSV RFC 4180 → array de filas (comillas dobles, saltos de línea dentro de campos)
+function parseCSV(text) {
+  const rows = [];
+  let row = [], cell = "", quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ",") { row.push(cell); cell = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell); cell = "";
+      if (row.some(v => v !== "")) rows.push(row);
+      row = [];
+    } else cell += c;
+  }
+  row.push(cell);
+  if (row.some(v => v !== "")) rows.push(row);
+  return rows;
+}
+
+function detectImportFormat(header) {
+  if (header.includes("Letterboxd URI")) return "letterboxd";
+  if (header.includes("Const"))          return "imdb";
+  return null;
+}
+
+// Filas CSV → films con la misma forma que los de FA. El id lleva prefijo de origen
+// para no chocar con ids de FA (también en la caché TMDB).
+// URL de origen de una fila importada: solo https en el sitio del formato; si no, null
+// (y se construye otra). Acaba en el href del enlace de la ficha: nada de javascript:.
+const IMPORT_HOSTS = { letterboxd: ["letterboxd.com", "boxd.it"], imdb: ["imdb.com"] };
+function importSourceUrl(format, raw) {
+  try {
+    const u = new URL(raw);
+    const ok = u.protocol === "https:" && IMPORT_HOSTS[format].some(h => u.hostname === h || u.hostname.endsWith("." + h));
+    return ok ? u.href : null;
+  } catch { return null; }
+}
+
+function importRows(format, rows) {
+  const [header, ...data] = rows;
+  const col = name => header.indexOf(name);
+  const get = (r, name) => (col(name) >= 0 ? (r[col(name)] || "").trim() : "");
+  const num = v => { const n = parseFloat(v); return isNaN(n) ? null : n; };
+  const films = [];
+  const seen  = new Set();
+
+  for (const r of data) {
+    let film;
+    if (format === "letterboxd") {
+      const uri   = get(r, "Letterboxd URI");
+      const title = get(r, "Name");
+      if (!title) continue;
+      const rating = num(get(r, "Rating"));  // 0.5–5 estrellas
+      film = {
+        id: "lb_" + crypto.createHash("sha1").update(uri || title + get(r, "Year")).digest("hex").slice(0, 10),
+        title, poster: null, rating: null, year: parseInt(get(r, "Year")) || null, type: "movie",
+        source_url: importSourceUrl("letterboxd", uri) || `https://letterboxd.com/search/films/${encodeURIComponent(title)}/`,
+        ...(rating != null ? { user_rating: rating * 2 } : {}),
+        ...(get(r, "Watched Date") || get(r, "Date") ? { rated_at: get(r, "Watched Date") || get(r, "Date") } : {}),
+      };
+    } else {
+      const id    = get(r, "Const");
+      const title = get(r, "Title");
+      if (!/^tt\d+$/.test(id) || !title) continue;  // el id acaba en el del film: solo ids de IMDb
+      const type  = /tv(series|miniseries|mini series)/i.test(get(r, "Title Type").replace(/\s/g, "")) ? "series" : "movie";
+      const dirs  = get(r, "Directors").split(",").map(d => d.trim()).filter(Boolean);
+      film = {
+        id: "imdb_" + id, imdb_id: id, title, poster: null, rating: num(get(r, "IMDb Rating")),
+        year: parseInt(get(r, "Year")) || null, type,
+        source_url: importSourceUrl("imdb", get(r, "URL")) || `https://www.imdb.com/title/${id}/`,
+        ...(get(r, "Original Title") && get(r, "Original Title") !== title ? { original_title: get(r, "Original Title") } : {}),
+        ...(dirs.length ? { directors: dirs } : {}),
+        ...(num(get(r, "Your Rating")) != null ? { user_rating: num(get(r, "Your Rating")) } : {}),
+        ...(get(r, "Date Rated") ? { rated_at: get(r, "Date Rated") } : {}),
+        ...(num(get(r, "Runtime (mins)")) ? { duration: num(get(r, "Runtime (mins)")) } : {}),
+      };
+    }
+    if (seen.has(film.id)) continue;
+    seen.add(film.id);
+    films.push(film);
+  }
+  // Como las listas de FA: de más reciente a más antiguo (sin fecha, al final y en su orden)
+  return films.map((f, i) => [f, i])
+    .sort(([a, i], [b, j]) => (!a.rated_at) - (!b.rated_at) || (b.rated_at || "").localeCompare(a.rated_at || "") || i - j)
+    .map(([f]) => f);
+}
+
+// ── Exportación ───────────────────────────────────────────────────────────────
+function csvCell(v) {
+  if (v == null) return "";
+  const t = Array.isArray(v) ? v.join(", ") : String(v);
+  return /[",\n\r]/.test(t) ? `"${t.replace(/"/g, '""')}"` : t;
+}
+// `bom`: para que Excel detecte UTF-8 (los importadores de Letterboxd/IMDb no lo esperan)
+function toCSV(columns, rows, bom = false) {
+  const lines = [columns.map(c => csvCell(c[0])).join(",")];
+  for (const r of rows) lines.push(columns.map(c => csvCell(c[1](r))).join(","));
+  return (bom ? "\uFEFF" : "") + lines.join("\r\n") + "\r\n";
+}
+
+// Cada formato: films → { ext, type, body }. Columnas como [cabecera, film → valor].
+const EXPORTERS = {
+  json: films => ({ ext: "json", type: "application/json; charset=utf-8", body: JSON.stringify(films, null, 2) }),
+
+  csv: films => ({ ext: "csv", type: "text/csv; charset=utf-8", body: toCSV([
+    ["id",               f => f.id],
+    ["title",            f => f.title],
+    ["original_title",   f => f.original_title],
+    ["year",             f => f.year],
+    ["type",             f => f.type],
+    ["rating",           f => f.rating],
+    ["user_rating",      f => f.user_rating],
+    ["rated_at",         f => f.rated_at],
+    ["duration",         f => f.duration],
+    ["genres",           f => f.genres],
+    ["country",          f => f.country],
+    ["directors",        f => f.directors],
+    ["tmdb_id",          f => f.tmdb_id],
+    ["imdb_id",          f => f.imdb_id],
+    ["streaming",        f => f.providers?.stream?.map(p => p.name)],
+    ["favourite",        f => f.favourite ? 1 : 0],
+    ["marked",           f => f.marked ? 1 : 0],
+    ["watched",          f => f.progress?.watched],
+    ["my_rating",        f => f.progress?.rating],
+    ["season",           f => f.progress?.season],
+    ["episode",          f => f.progress?.episode],
+    ["notes",            f => f.progress?.notes],
+    ["filmaffinity_url", f => f.filmaffinity_url],
+  ], films, true) }),
+
+  // https://letterboxd.com/about/importing-data/ — título original (mejor coincidencia), nota 1-10.
+  // La nota y la fecha propias del seguimiento, si las hay, van antes que las de FA.
+  letterboxd: films => ({ ext: "csv", type: "text/csv; charset=utf-8", body: toCSV([
+    ["tmdbID",      f => f.type === "series" ? "" : f.tmdb_id],
+    ["imdbID",      f => f.imdb_id],
+    ["Title",       f => f.original_title || f.title],
+    ["Year",        f => f.year],
+    ["Directors",   f => f.directors],
+    ["Rating10",    f => f.progress?.rating ?? (f.user_rating != null ? Math.round(f.user_rating) : "")],
+    ["WatchedDate", f => f.progress?.watched || f.rated_at],
+    ["Tags",        f => [f.favourite && "favorito", f.marked && "borrar"].filter(Boolean)],
+  ], films) }),
+
+  // Mismas columnas que la exportación de valoraciones de IMDb
+  imdb: films => ({ ext: "csv", type: "text/csv; charset=utf-8", body: toCSV([
+    ["Const",          f => f.imdb_id],
+    ["Your Rating",    f => f.user_rating != null ? Math.round(f.user_rating) : ""],
+    ["Date Rated",     f => f.rated_at],
+    ["Title",          f => f.original_title || f.title],
+    ["URL",            f => f.filmaffinity_url],
+    ["Title Type",     f => f.type === "series" ? "tvSeries" : "movie"],
+    ["IMDb Rating",    () => ""],
+    ["Runtime (mins)", f => f.duration],
+    ["Year",           f => f.year],
+    ["Genres",         f => f.genres],
+    ["Num Votes",      f => f.votes],
+    ["Release Date",   () => ""],
+    ["Directors",      f => f.directors],
+  ], films) }),
+};
+
 function makeKey(url) {
+  // Una combinada acaba igual que su última lista: se usa un hash de la URL entera
+  // (el mismo que calcula el frontend en listKey)
+  if (url.startsWith("merge:")) return "fa_m" + fnv1a(url) + fnv1a(url, 0x050c5d1f);
   const b = Buffer.from(url).toString("base64").replace(/[^a-z0-9]/gi, "");
   return "fa_" + b.slice(-20);
 }
+function fnv1a(str, h = 0x811c9dc5) {
+  for (let i = 0; i < str.length; i++) { h ^= str.charCodeAt(i); h = Math.imul(h, 0x01000193) >>> 0; }
+  return h.toString(16).padStart(8, "0");
+}
 
-// ISO 3166-1 alpha-2 → nombre en español
-const ISO_ES = {
-  US:"Estados Unidos",GB:"Reino Unido",FR:"Francia",ES:"España",DE:"Alemania",
-  IT:"Italia",JP:"Japón",KR:"Corea del Sur",CN:"China",MX:"México",AR:"Argentina",
-  BR:"Brasil",CA:"Canadá",AU:"Australia",SE:"Suecia",DK:"Dinamarca",NO:"Noruega",
-  FI:"Finlandia",BE:"Bélgica",NL:"Países Bajos",PL:"Polonia",RU:"Rusia",IN:"India",
-  IE:"Irlanda",AT:"Austria",CH:"Suiza",PT:"Portugal",RO:"Rumania",CZ:"República Checa",
-  HU:"Hungría",IL:"Israel",IR:"Irán",TR:"Turquía",CO:"Colombia",CL:"Chile",
-  PE:"Perú",VE:"Venezuela",UY:"Uruguay",CU:"Cuba",HK:"Hong Kong",TW:"Taiwán",
-  TH:"Tailandia",VN:"Vietnam",ID:"Indonesia",PH:"Filipinas",MA:"Marruecos",
-  NG:"Nigeria",ZA:"Sudáfrica",SN:"Senegal",GR:"Grecia",RS:"Serbia",HR:"Croacia",
-  SI:"Eslovenia",SK:"Eslovaquia",BG:"Bulgaria",LT:"Lituania",LV:"Letonia",
-  EE:"Estonia",UA:"Ucrania",KZ:"Kazajistán",GE:"Georgia",AM:"Armenia",AZ:"Azerbaiyán",
-  RO:"Rumania",MK:"Macedonia del Norte",BA:"Bosnia y Herzegovina",AL:"Albania",
-  IS:"Islandia",LU:"Luxemburgo",MT:"Malta",CY:"Chipre",
-};
-function isoToSpanish(code) { return ISO_ES[code] || code; }
 function fromB64(s) {
   // Usar Buffer (Node.js) en lugar de atob — más robusto con caracteres especiales
   return Buffer.from(s, "base64").toString("utf8");
 }
 function decodeListUrl(raw) {
-  if (!raw) return null;
-  const url = /^https?:\/\//.test(raw) ? raw : fromB64(raw);
-  if (!url.includes("filmaffinity.com")) return null;
-  return url;
+  if (!raw || typeof raw !== "string") return null;
+  const url = /^(https?:\/\/|import:|merge:)/.test(raw) ? raw : fromB64(raw);
+  if (isImportUrl(url) || isMergeUrl(url)) return url;
+  return isFAUrl(url) ? url : null;
 }
+// Solo páginas de FA por https: el servidor no debe pedir otras URLs (ni mandarles la cookie)
+const FA_HOST = "www.filmaffinity.com";
+function isFAUrl(url) {
+  try {
+    const u = new URL(url);
+    return u.protocol === "https:" && u.hostname === FA_HOST && !u.username && !u.password;
+  } catch { return false; }
+}
+// Listas importadas desde CSV: "import:<formato>/<hash>" (no tienen página en FA)
+function isImportUrl(url) { return /^import:(letterboxd|imdb)\/[0-9a-f]{12}$/.test(url || ""); }
+// Listas combinadas: "merge:<url>|<url>|…" (de 2 a MERGE_MAX listas de FA o importadas).
+// Devuelve las URLs de origen, o null si no es una combinada válida.
+const MERGE_MAX = 6;
+function mergeSources(url) {
+  if (!/^merge:/.test(url || "")) return null;
+  const urls = url.slice(6).split("|");
+  const ok = urls.length >= 2 && urls.length <= MERGE_MAX && new Set(urls).size === urls.length &&
+             urls.every(u => /^(https?:\/\/|import:)/.test(u) && decodeListUrl(u));
+  return ok ? urls : null;
+}
+function isMergeUrl(url) { return !!mergeSources(url); }
 function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
 
 // Arranque
 connectDB().then(() => {
   app.listen(PORT, "0.0.0.0", () =>
-    log(`FA Viewer en puerto ${PORT} | TMDB: ${TMDB_KEY ? "✓" : "sin configurar"} | DB: ${db ? "MongoDB Atlas" : "memoria"}`));
+    log(`FA Viewer en puerto ${PORT} | TMDB: ${TMDB_KEY ? "✓" : "sin configurar"} | DB: ${store.name}`));
+  resumeJobs().catch(e => log("[JOB] Error reanudando jobs:", e.message));
+  startScheduler();
 });
+// Al parar (docker stop, Ctrl+C) vuelca lo pendiente del almacenamiento antes de salir
+for (const sig of ["SIGTERM", "SIGINT"])
+  process.once(sig, () => {
+    const done = () => process.exit(0);
+    (store ? store.close() : Promise.resolve()).then(done, e => { log("[DB] Error al cerrar:", e.message); done(); });
+  });
@@ -0,0 +1,351 @@
+// ── Almacenamiento ────────────────────────────────────────────────────────────
+// Misma interfaz sobre tres backends, elegido con STORAGE:
+//   mongo  → MongoDB (MONGODB_URI), compartido entre instancias
+//   file   → memoria volcada a un fichero JSON (DATA_FILE), para autoalojar sin BD
+//   memory → memoria volátil (datos se pierden al reiniciar)
+// Todos los métodos son async y devuelven objetos planos (sin _id).
+// Las listas llevan `failedPages`: páginas de FA que no se pudieron descargar (lista incompleta).
+const fs   = require("fs");
+const path = require("path");
+const { MongoClient } = require("mongodb");
+
+// Versiones de historial que se conservan por lista
+const HISTORY_MAX = 30;
+// Entradas del registro de auditoría que se conservan (las más recientes)
+const AUDIT_MAX = 5000;
+
+// Filtro del registro de auditoría: { key, user, action } (todos opcionales)
+function auditMatch(e, q) {
+  return (!q.key || e.key === q.key) && (!q.user || e.user === q.user) && (!q.action || e.action === q.action);
+}
+
+// Marcas ("marks") y favoritos ("favs"): sin `user` son los compartidos de la lista
+// (modo anónimo); con `user` van a user_marks / user_favs, un documento por lista y usuario.
+// Cada documento lleva una versión `v` que sube en cada escritura (ETag en la API).
+// El seguimiento ("progress": vista, nota, notas, temporada/episodio) se guarda igual,
+// con `items: { id: estado }` en vez de `marks`.
+function setLocation(kind, key, user) {
+  return user ? { coll: "user_" + kind, filter: { key, user } } : { coll: kind, filter: { key } };
+}
+
+// ── Memoria ──
+function memoryStore(data = {}) {
+  const mem = { lists: {}, marks: {}, favs: {}, tmdb: {}, details: {}, history: {}, jobs: {},
+                schedules: {}, users: {}, user_marks: {}, user_favs: {}, audit: [],
+                progress: {}, user_progress: {}, ...data };
+
+  function setDoc(kind, key, user, create) {
+    const { coll } = setLocation(kind, key, user);
+    const bucket = user ? (mem[coll][key] ||= {}) : mem[coll];
+    const id = user || key;
+    if (!bucket[id] && create) bucket[id] = kind === "progress" ? { items: {}, v: 0 } : { marks: [], v: 0 };
+    return bucket[id] || null;
+  }
+
+  const store = {
+    type: "memory",
+    name: "memoria",
+    persistent: false,
+    data: mem,
+
+    async getList(key) { return mem.lists[key] || null; },
+    async saveList(key, films, listUrl, failedPages = []) {
+      mem.lists[key] = { key, films, listUrl, failedPages, ts: Date.now() };
+    },
+    // Sustituye un film concreto dentro de una lista guardada (sin tocar el ts de la lista)
+    async updateListFilm(key, film) {
+      const list = mem.lists[key];
+      const i = list ? list.films.findIndex(f => f.id === film.id) : -1;
+      if (i >= 0) list.films[i] = film;
+    },
+
+    async getSet(kind, key, user) {
+      const d = setDoc(kind, key, user);
+      return { marks: d?.marks || [], v: d?.v || 0 };
+    },
+    async saveSet(kind, key, user, marks, ifV) {
+      const d = setDoc(kind, key, user, true);
+      if (ifV != null && d.v !== ifV) return { conflict: true, marks: d.marks, v: d.v };
+      d.marks = marks; d.v++;
+      return { marks, v: d.v };
+    },
+    async patchSet(kind, key, user, add = [], remove = []) {
+      const d = setDoc(kind, key, user, true);
+      d.marks = [...new Set([...d.marks, ...add])].filter(id => !remove.includes(id));
+      d.v++;
+      return { marks: d.marks, v: d.v };
+    },
+    async getUserSets(coll, key) {
+      return Object.entries(mem[coll][key] || {}).map(([user, d]) => ({ user, marks: d.marks }));
+    },
+
+    async getProgress(key, user) {
+      const d = setDoc("progress", key, user);
+      return { items: d?.items || {}, v: d?.v || 0 };
+    },
+    // Sustituye el estado de un título (null = quitarlo)
+    async patchProgress(key, user, id, state) {
+      const d = setDoc("progress", key, user, true);
+      if (state) d.items[id] = state; else delete d.items[id];
+      d.v++;
+      return { items: d.items, v: d.v };
+    },
+
+    async getUser(username) { return mem.users[username] || null; },
+    async createUser(user) {
+      if (mem.users[user.username]) return false;
+      mem.users[user.username] = user; return true;
+    },
+
+    async getTmdb(faId) { return mem.tmdb[faId] || null; },
+    async saveTmdb(faId, data) { mem.tmdb[faId] = { ...mem.tmdb[faId], faId, data, ts: Date.now() }; },
+    async saveTmdbPin(faId, pin) {
+      mem.tmdb[faId] = pin ? { ...mem.tmdb[faId], faId, pin } : { faId, data: null, ts: 0 };
+    },
+    async getDetails(faId) { return mem.details[faId] || null; },
+    async saveDetails(faId, data) { mem.details[faId] = { faId, data, ts: Date.now() }; },
+
+    async getHistory(key) { return mem.history[key] || []; },
+    async saveSnapshot(doc) {
+      mem.history[doc.key] = [doc, ...(mem.history[doc.key] || [])].slice(0, HISTORY_MAX);
+    },
+
+    async getSchedules() { return Object.values(mem.schedules); },
+    async saveSchedule(sched) { mem.schedules[sched.key] = { ...sched }; },
+    async deleteSchedule(key) { const had = !!mem.schedules[key]; delete mem.schedules[key]; return had; },
+
+    async getJob(key) { return mem.jobs[key] || null; },
+    async saveJob(doc) { mem.jobs[doc.key] = doc; },
+    async deleteJob(key) { delete mem.jobs[key]; },
+    async getRunningJobs() { return Object.values(mem.jobs).filter(j => j.status === "running"); },
+
+    // Registro de auditoría, más reciente primero
+    async saveAudit(entry) { mem.audit = [entry, ...mem.audit].slice(0, AUDIT_MAX); },
+    async getAudit(q = {}, limit = 100) { return mem.audit.filter(e => auditMatch(e, q)).slice(0, limit); },
+
+    // Comprobación para /readyz: lanza si el almacenamiento no responde
+    async ping() {},
+    async close() {},
+  };
+  // Como en Mongo, entran y salen copias: modificar lo devuelto (o lo guardado) después
+  // no cambia los datos del store
+  for (const [name, fn] of Object.entries(store)) {
+    if (typeof fn === "function") store[name] = async (...args) => structuredClone(await fn(...structuredClone(args)));
+  }
+  return store;
+}
+
+// ── Fichero JSON ──
+// El store en memoria de arriba, cargado al arrancar y volcado tras cada escritura.
+// Los volcados se agrupan (FLUSH_DELAY) y se escriben a un temporal + rename para
+// no dejar un fichero a medias si el proceso muere mientras escribe. Si falla (disco
+// lleno, permisos…) se avisa y se reintenta; los datos siguen en memoria.
+const FLUSH_DELAY = 1000;
+const FLUSH_RETRY = 30_000;
+const READS = new Set(["getList", "getSet", "getUserSets", "getProgress", "getUser", "getTmdb", "getDetails",
+                       "getHistory", "getSchedules", "getJob", "getRunningJobs", "getAudit", "ping"]);
+
+function fileStore(file, log = console.log) {
+  let data = {};
+  if (fs.existsSync(file)) data = JSON.parse(fs.readFileSync(file, "utf8"));
+  const store = memoryStore(data);
+  let timer = null;
+
+  function write() {
+    clearTimeout(timer); timer = null;
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file + ".tmp", JSON.stringify(store.data));
+      fs.renameSync(file + ".tmp", file);
+    } catch (e) {
+      log(`[DB] No se pudo guardar ${file}: ${e.message} — reintento en ${FLUSH_RETRY / 1000}s`);
+      timer = setTimeout(write, FLUSH_RETRY);
+      timer.unref();
+    }
+  }
+
+  for (const [name, fn] of Object.entries(store)) {
+    if (typeof fn !== "function" || READS.has(name) || name === "close") continue;
+    store[name] = async (...args) => {
+      const result = await fn(...args);
+      timer ||= setTimeout(write, FLUSH_DELAY);
+      return result;
+    };
+  }
+  store.type = "file";
+  store.name = "fichero " + file;
+  store.persistent = true;
+  store.close = async () => { if (timer) write(); };
+  return store;
+}
+
+// ── MongoDB ──
+async function mongoStore(uri) {
+  const client = new MongoClient(uri, { serverSelectionTimeoutMS: 8000 });
+  await client.connect();
+  const db = client.db("fa_viewer");
+  await db.collection("lists").createIndex({ key: 1 }, { unique: true });
+  await db.collection("marks").createIndex({ key: 1 }, { unique: true });
+  await db.collection("favs").createIndex({ key: 1 }, { unique: true });
+  await db.collection("tmdb").createIndex({ faId: 1 }, { unique: true });
+  await db.collection("details").createIndex({ faId: 1 }, { unique: true });
+  await db.collection("users").createIndex({ username: 1 }, { unique: true });
+  await db.collection("user_marks").createIndex({ key: 1, user: 1 }, { unique: true });
+  await db.collection("user_favs").createIndex({ key: 1, user: 1 }, { unique: true });
+  await db.collection("progress").createIndex({ key: 1 }, { unique: true });
+  await db.collection("user_progress").createIndex({ key: 1, user: 1 }, { unique: true });
+  await db.collection("history").createIndex({ key: 1, ts: -1 });
+  await db.collection("jobs").createIndex({ key: 1 }, { unique: true });
+  await db.collection("schedules").createIndex({ key: 1 }, { unique: true });
+  // Auditoría: colección limitada (se descartan solas las entradas más antiguas)
+  await db.createCollection("audit", { capped: true, size: 16 * 1024 * 1024, max: AUDIT_MAX })
+    .catch(e => { if (e.codeName !== "NamespaceExists") throw e; });
+  await db.collection("audit").createIndex({ key: 1 });
+
+  const noId = { projection: { _id: 0 } };
+  const store = {
+    type: "mongo",
+    name: "MongoDB Atlas",
+    persistent: true,
+
+    async getList(key) { return await db.collection("lists").findOne({ key }, noId); },
+    async saveList(key, films, listUrl, failedPages = []) {
+      await db.collection("lists").updateOne({ key },
+        { $set: { key, films, listUrl, failedPages, ts: Date.now() } }, { upsert: true });
+    },
+    async updateListFilm(key, film) {
+      await db.collection("lists").updateOne({ key, "films.id": film.id }, { $set: { "films.$": film } });
+    },
+
+    async getSet(kind, key, user) {
+      const { coll, filter } = setLocation(kind, key, user);
+      const doc = await db.collection(coll).findOne(filter);
+      return { marks: doc?.marks || [], v: doc?.v || 0 };
+    },
+    async saveSet(kind, key, user, marks, ifV) {
+      const { coll, filter } = setLocation(kind, key, user);
+      const query = ifV == null ? filter : { ...filter, v: ifV === 0 ? { $in: [0, null] } : ifV };
+      try {
+        // Con una versión > 0 el documento tiene que existir: sin upsert, que lo crearía con esa v
+        const doc = await db.collection(coll).findOneAndUpdate(query,
+          { $set: { ...filter, marks, ts: Date.now() }, $inc: { v: 1 } },
+          { upsert: !ifV, returnDocument: "after" });
+        if (!doc) return { conflict: true, ...await store.getSet(kind, key, user) };
+        return { marks: doc.marks, v: doc.v };
+      } catch (e) {
+        // Versión distinta: el filtro no casa y el upsert choca con el índice único
+        if (e.code === 11000) return { conflict: true, ...await store.getSet(kind, key, user) };
+        throw e;
+      }
+    },
+    // $addToSet / $pull: dos pestañas no se pisan
+    async patchSet(kind, key, user, add = [], remove = []) {
+      const { coll, filter } = setLocation(kind, key, user);
+      const opts = { upsert: true, returnDocument: "after" };
+      let doc = null;
+      if (add.length)
+        doc = await db.collection(coll).findOneAndUpdate(filter,
+          { $addToSet: { marks: { $each: add } }, $set: { ts: Date.now() }, $inc: { v: 1 } }, opts);
+      if (remove.length)
+        doc = await db.collection(coll).findOneAndUpdate(filter,
+          { $pull: { marks: { $in: remove } }, $set: { ts: Date.now() }, $inc: { v: 1 } }, opts);
+      return doc ? { marks: doc.marks || [], v: doc.v } : store.getSet(kind, key, user);
+    },
+    async getUserSets(coll, key) {
+      return await db.collection(coll).find({ key }, { projection: { _id: 0, user: 1, marks: 1 } }).toArray();
+    },
+
+    async getProgress(key, user) {
+      const { coll, filter } = setLocation("progress", key, user);
+      const doc = await db.collection(coll).findOne(filter);
+      return { items: doc?.items || {}, v: doc?.v || 0 };
+    },
+    // Solo toca `items.<id>`: cambios en títulos distintos no se pisan
+    async patchProgress(key, user, id, state) {
+      const { coll, filter } = setLocation("progress", key, user);
+      const field = "items." + id;
+      const doc = await db.collection(coll).findOneAndUpdate(filter, {
+        ...(state ? { $set: { [field]: state, ts: Date.now() } } : { $unset: { [field]: "" }, $set: { ts: Date.now() } }),
+        $inc: { v: 1 },
+      }, { upsert: true, returnDocument: "after" });
+      return { items: doc.items || {}, v: doc.v };
+    },
+
+    async getUser(username) { return await db.collection("users").findOne({ username }, noId); },
+    async createUser(user) {
+      try { await db.collection("users").insertOne({ ...user }); return true; }
+      catch (e) { if (e.code === 11000) return false; throw e; }
+    },
+
+    async getTmdb(faId) { return await db.collection("tmdb").findOne({ faId }, noId); },
+    async saveTmdb(faId, data) {
+      await db.collection("tmdb").updateOne({ faId }, { $set: { faId, data, ts: Date.now() } }, { upsert: true });
+    },
+    async saveTmdbPin(faId, pin) {
+      await db.collection("tmdb").updateOne({ faId },
+        pin ? { $set: { faId, pin } } : { $set: { faId, data: null, ts: 0 }, $unset: { pin: "" } },
+        { upsert: true });
+    },
+    async getDetails(faId) { return await db.collection("details").findOne({ faId }, noId); },
+    async saveDetails(faId, data) {
+      await db.collection("details").updateOne({ faId }, { $set: { faId, data, ts: Date.now() } }, { upsert: true });
+    },
+
+    async getHistory(key) {
+      return await db.collection("history").find({ key }, noId).sort({ ts: -1 }).limit(HISTORY_MAX).toArray();
+    },
+    async saveSnapshot(doc) {
+      await db.collection("history").insertOne({ ...doc });
+      // Podar versiones antiguas
+      const old = await db.collection("history").find({ key: doc.key }).sort({ ts: -1 }).skip(HISTORY_MAX).limit(1).toArray();
+      if (old.length) await db.collection("history").deleteMany({ key: doc.key, ts: { $lte: old[0].ts } });
+    },
+
+    async getSchedules() { return await db.collection("schedules").find({}, noId).toArray(); },
+    async saveSchedule(sched) {
+      await db.collection("schedules").updateOne({ key: sched.key }, { $set: sched }, { upsert: true });
+    },
+    async deleteSchedule(key) {
+      return (await db.collection("schedules").deleteOne({ key })).deletedCount > 0;
+    },
+
+    async getJob(key) { return await db.collection("jobs").findOne({ key }, noId); },
+    async saveJob(doc) {
+      await db.collection("jobs").updateOne({ key: doc.key }, { $set: doc }, { upsert: true });
+    },
+    async deleteJob(key) { await db.collection("jobs").deleteOne({ key }); },
+    async getRunningJobs() {
+      return await db.collection("jobs").find({ status: "running" }, noId).toArray();
+    },
+
+    async saveAudit(entry) { await db.collection("audit").insertOne({ ...entry }); },
+    async getAudit(q = {}, limit = 100) {
+      const filter = Object.fromEntries(["key", "user", "action"].filter(k => q[k]).map(k => [k, q[k]]));
+      return await db.collection("audit").find(filter, noId).sort({ $natural: -1 }).limit(limit).toArray();
+    },
+
+    async ping() { await db.command({ ping: 1 }); },
+    async close() { await client.close(); },
+  };
+  return store;
+}
+
+// STORAGE explícito o, si no, MongoDB cuando hay MONGODB_URI y fichero cuando hay
+// DATA_FILE. Si Mongo no responde se sigue en memoria para que el visor funcione igualmente.
+function storageType({ type, uri, file }) {
+  return (type || (uri ? "mongo" : file ? "file" : "memory")).toLowerCase();
+}
+
+async function createStore({ type, uri, file, log = console.log }) {
+  type = storageType({ type, uri, file });
+  if (type === "file") return fileStore(path.resolve(file || "data/fa-viewer.json"), log);
+  if (type === "mongo") {
+    if (!uri) { log("[DB] STORAGE=mongo sin MONGODB_URI — usando memoria"); return memoryStore(); }
+    try { return await mongoStore(uri); }
+    catch (e) { log("[DB] Error:", e.message, "— fallback a memoria"); return memoryStore(); }
+  }
+  if (type !== "memory") log(`[DB] STORAGE desconocido "${type}" — usando memoria`);
+  return memoryStore();
+}
+
+module.exports = { createStore, storageType, memoryStore, fileStore, mongoStore, HISTORY_MAX, AUDIT_MAX };
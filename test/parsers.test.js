@@ -0,0 +1,111 @@
+// Parsers de FA (listas y fichas) sobre páginas guardadas en test/fixtures
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs   = require("fs");
+const path = require("path");
+const parsers = require("../parsers");
+const { detectSource, isChallengePage, parseListPage, parseRatingsPage, parseTopPage, parseTotalPages, parseFilmPage } = parsers;
+
+parsers.setLogger(() => {});
+const FIXTURES = path.join(__dirname, "fixtures");
+const fixture  = name => fs.readFileSync(path.join(FIXTURES, name), "utf8");
+
+test("lista: id, título, póster, nota, año y URL de cada card", () => {
+  const films = parseListPage(fixture("userlist-es.html"), "es");
+  assert.equal(films.length, 6);
+  assert.deepEqual(films[0], {
+    id: "809297", title: "El padrino",
+    poster: "https://pics.filmaffinity.com/el_padrino-993414333-mmed.jpg",
+    rating: 9, year: 1972, type: "movie",
+    filmaffinity_url: "https://www.filmaffinity.com/es/film809297.html",
+  });
+  // Póster en data-src (carga diferida) y nota sin votos suficientes
+  assert.equal(films[1].poster, "https://pics.filmaffinity.com/blue_moon-212873562-mmed.jpg");
+  assert.equal(films.find(f => f.id === "102345").rating, null);
+});
+
+test("lista: un film repetido en la página sale una sola vez", () => {
+  const ids = parseListPage(fixture("userlist-es.html"), "es").map(f => f.id);
+  assert.deepEqual(ids, ["809297", "548512", "234771", "695552", "371937", "102345"]);
+});
+
+test("lista: título repetido por las variantes móvil/escritorio", () => {
+  const film = parseListPage(fixture("userlist-es.html"), "es").find(f => f.id === "548512");
+  assert.equal(film.title, "Blue Moon");
+});
+
+test("lista: tipo película/serie en español e inglés", () => {
+  const types = films => Object.fromEntries(films.map(f => [f.id, f.type]));
+  assert.deepEqual(types(parseListPage(fixture("userlist-es.html"), "es")), {
+    809297: "movie", 548512: "movie", 234771: "movie", 695552: "series", 371937: "movie", 102345: "movie",
+  });
+  assert.deepEqual(types(parseListPage(fixture("userlist-es-page3.html"), "es")), { 730528: "movie", 412938: "series" });
+  // "(TV Series)", "(Miniseries)", etiqueta de serie sin texto en el título, y una película
+  const en = parseListPage(fixture("userlist-series-en.html"), "en");
+  assert.deepEqual(types(en), { 489970: "series", 158457: "series", 736224: "series", 670216: "movie" });
+  assert.equal(en[0].rating, 8.9);
+  assert.equal(en[0].filmaffinity_url, "https://www.filmaffinity.com/en/film489970.html");
+});
+
+test("paginación: nº total de páginas, desde la primera y desde la última", () => {
+  assert.equal(parseTotalPages(fixture("userlist-es.html")), 3);        // sin contar el año del pie
+  assert.equal(parseTotalPages(fixture("userlist-es-page3.html")), 3);  // la actual no es enlace
+  assert.equal(parseTotalPages(fixture("userlist-series-en.html")), 1);
+  assert.equal(parseTotalPages(undefined), 1);
+});
+
+test("Cloudflare: se reconoce la comprobación y no salen films", () => {
+  const html = fixture("cloudflare.html");
+  assert.equal(isChallengePage(html), true);
+  assert.equal(isChallengePage(fixture("userlist-es.html")), false);
+  assert.deepEqual(parseListPage(html, "es"), []);
+  assert.equal(parseTotalPages(html), 1);
+});
+
+test("tipo de fuente e idioma según la URL", () => {
+  assert.deepEqual(detectSource("https://www.filmaffinity.com/es/userlist.php?user_id=1&list_id=2"), { type: "userlist", locale: "es" });
+  assert.deepEqual(detectSource("https://www.filmaffinity.com/en/userratings.php?user_id=1"), { type: "userratings", locale: "en" });
+  assert.deepEqual(detectSource("https://www.filmaffinity.com/us/topgen.php?genre=TV"), { type: "top", locale: "us" });
+  assert.deepEqual(detectSource("https://www.filmaffinity.com/fr/userlist.php?list_id=2"), { type: "userlist", locale: "es" });
+});
+
+test("ficha (es): título original sin el aka, dirección, reparto, géneros, temas y votos", () => {
+  const d = parseFilmPage(fixture("film-es.html"));
+  assert.equal(d.original_title, "The Godfather");
+  assert.deepEqual(d.directors, ["Francis Ford Coppola"]);
+  assert.equal(d.cast.length, 10);  // los 10 primeros de 12
+  assert.deepEqual(d.cast.slice(0, 3), ["Marlon Brando", "Al Pacino", "James Caan"]);
+  assert.deepEqual(d.fa_genres, ["Drama"]);
+  assert.deepEqual(d.topics, ["Mafia", "Crimen organizado", "Familia", "Años 40"]);
+  assert.equal(d.votes, 245123);
+});
+
+test("ficha (en): etiquetas en inglés, créditos sin itemprop y votos sin atributo content", () => {
+  assert.deepEqual(parseFilmPage(fixture("film-en.html")), {
+    original_title: "El espíritu de la colmena",
+    directors: ["Víctor Erice"],
+    cast: ["Ana Torrent", "Isabel Tellería", "Fernando Fernán Gómez", "Teresa Gimpera"],
+    fa_genres: ["Drama"],
+    topics: ["Childhood", "Spanish Civil War"],
+    votes: 31874,
+  });
+});
+
+test("ficha: sin datos en una página que no es una ficha", () => {
+  assert.deepEqual(parseFilmPage(fixture("cloudflare.html")), {});
+  assert.deepEqual(parseFilmPage(undefined), {});
+});
+
+// Fixtures guardados con /api/dump?save=…: los parsers de hoy deben sacar lo mismo que al guardarlos
+const PARSE = { userlist: parseListPage, userratings: parseRatingsPage, top: parseTopPage };
+for (const file of fs.readdirSync(FIXTURES).filter(f => f.endsWith(".json"))) {
+  const name = file.slice(0, -5);
+  if (!fs.existsSync(path.join(FIXTURES, name + ".html"))) continue;
+  test(`fixture guardado: ${name}`, () => {
+    const saved  = JSON.parse(fixture(file));
+    const html   = fixture(name + ".html");
+    const source = detectSource(saved.url);
+    assert.deepEqual(PARSE[source.type](html, source.locale), saved.films);
+    if (source.type !== "top") assert.equal(parseTotalPages(html), saved.totalPages);
+  });
+}
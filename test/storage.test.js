@@ -0,0 +1,103 @@
+// Adaptadores de almacenamiento en memoria y en fichero (Mongo necesita un servidor)
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs   = require("fs");
+const os   = require("os");
+const path = require("path");
+const { memoryStore, fileStore, storageType, HISTORY_MAX } = require("../storage");
+
+const tmpFile = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), "fa-viewer-")), "data", "store.json");
+
+test("memoria: guarda y devuelve listas", async () => {
+  const s = memoryStore();
+  assert.equal(await s.getList("k"), null);
+  await s.saveList("k", [{ id: "1" }], "https://www.filmaffinity.com/es/x", [3]);
+  const list = await s.getList("k");
+  assert.deepEqual(list.films, [{ id: "1" }]);
+  assert.deepEqual(list.failedPages, [3]);
+  await s.updateListFilm("k", { id: "1", title: "A" });
+  assert.equal((await s.getList("k")).films[0].title, "A");
+});
+
+test("memoria: lo devuelto y lo guardado son copias, como en Mongo", async () => {
+  const s = memoryStore();
+  const films = [{ id: "1" }];
+  await s.saveList("k", films, "u");
+  films.push({ id: "2" });
+  (await s.getList("k")).films.push({ id: "3" });
+  assert.deepEqual((await s.getList("k")).films, [{ id: "1" }]);
+
+  const p = await s.patchProgress("k", null, "1", { watched: "2024-01-01" });
+  p.items["1"].watched = null;
+  assert.equal((await s.getProgress("k", null)).items["1"].watched, "2024-01-01");
+});
+
+test("memoria: marcas versionadas, compartidas y por usuario", async () => {
+  const s = memoryStore();
+  assert.deepEqual(await s.getSet("marks", "k"), { marks: [], v: 0 });
+  // Una versión que no existe es conflicto también sin documento (Mongo igual)
+  assert.deepEqual(await s.saveSet("marks", "k", null, ["1"], 5), { conflict: true, marks: [], v: 0 });
+  assert.deepEqual(await s.saveSet("marks", "k", null, ["1", "2"]), { marks: ["1", "2"], v: 1 });
+  assert.deepEqual(await s.saveSet("marks", "k", null, ["9"], 0), { conflict: true, marks: ["1", "2"], v: 1 });
+  assert.deepEqual(await s.patchSet("marks", "k", null, ["3"], ["1"]), { marks: ["2", "3"], v: 2 });
+
+  await s.patchSet("favs", "k", "ana", ["5"]);
+  assert.deepEqual((await s.getSet("favs", "k", "ana")).marks, ["5"]);
+  assert.deepEqual((await s.getSet("favs", "k")).marks, []);
+  assert.deepEqual(await s.getUserSets("user_favs", "k"), [{ user: "ana", marks: ["5"] }]);
+});
+
+test("memoria: seguimiento, usuarios, historial y auditoría", async () => {
+  const s = memoryStore();
+  await s.patchProgress("k", "ana", "123456", { rating: 8 });
+  assert.deepEqual(await s.patchProgress("k", "ana", "123456", null), { items: {}, v: 2 });
+
+  assert.equal(await s.createUser({ username: "ana", hash: "h" }), true);
+  assert.equal(await s.createUser({ username: "ana", hash: "x" }), false);
+  assert.equal((await s.getUser("ana")).hash, "h");
+
+  for (let i = 0; i < HISTORY_MAX + 5; i++) await s.saveSnapshot({ key: "k", ts: i });
+  const history = await s.getHistory("k");
+  assert.equal(history.length, HISTORY_MAX);
+  assert.equal(history[0].ts, HISTORY_MAX + 4);
+
+  await s.saveAudit({ action: "marks.patch", key: "k", user: "ana" });
+  await s.saveAudit({ action: "list.refresh", key: "j", user: null });
+  assert.deepEqual((await s.getAudit({ user: "ana" })).map(e => e.action), ["marks.patch"]);
+  assert.equal((await s.getAudit()).length, 2);
+});
+
+test("fichero: vuelca al cerrar y se recarga al abrir", async () => {
+  const file = tmpFile();
+  const s = fileStore(file);
+  assert.equal(s.type, "file");
+  await s.saveList("k", [{ id: "1" }], "u");
+  await s.patchSet("marks", "k", null, ["1"]);
+  await s.close();
+  assert.ok(fs.existsSync(file));
+  assert.ok(!fs.existsSync(file + ".tmp"));
+
+  const again = fileStore(file);
+  assert.deepEqual((await again.getList("k")).films, [{ id: "1" }]);
+  assert.deepEqual(await again.getSet("marks", "k"), { marks: ["1"], v: 1 });
+  await again.close();
+});
+
+test("fichero: un error al escribir se registra y no tumba el proceso", async () => {
+  const blocker = tmpFile();
+  fs.mkdirSync(path.dirname(path.dirname(blocker)), { recursive: true });
+  fs.writeFileSync(path.dirname(blocker), "");  // "data" es un fichero: mkdir falla
+  const logs = [];
+  const s = fileStore(blocker, (...a) => logs.push(a.join(" ")));
+  await s.saveList("k", [], "u");
+  await s.close();
+  assert.match(logs[0], /No se pudo guardar/);
+  assert.deepEqual((await s.getList("k")).films, []);
+});
+
+test("backend: STORAGE manda; si no, MongoDB, fichero (DATA_FILE) o memoria", () => {
+  assert.equal(storageType({ type: "File", uri: "mongodb://x" }), "file");
+  assert.equal(storageType({ uri: "mongodb://x", file: "/app/data/x.json" }), "mongo");
+  assert.equal(storageType({ file: "/app/data/x.json" }), "file");
+  assert.equal(storageType({}), "memory");
+});